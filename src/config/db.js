@@ -1,19 +1,23 @@
 // src/config/db.js
 import "dotenv/config";
 import postgres from "postgres";
+import { counter } from "../lib/metrics.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("db");
 
 /**
  * Conexão PostgreSQL (Neon) para o worker no VPS.
  * - TLS obrigatório
  * - Pool com limites
- * - Retries em CONNECT_TIMEOUT
+ * - Retries em CONNECT_TIMEOUT (métrica db_query_retries_total)
  * - Loga SQL em caso de erro de sintaxe (42601) com placeholders
  */
 
 const rawUrl = process.env.DATABASE_URL;
 
 if (!rawUrl) {
-  console.error("[db] ❌ DATABASE_URL não definido nas env vars");
+  log.error("DATABASE_URL não definido nas env vars");
   throw new Error("DATABASE_URL missing");
 }
 
@@ -31,6 +35,16 @@ const DB_CONNECT_TIMEOUT = Number.parseInt(
 );
 const DB_RETRIES = Number.parseInt(process.env.DB_RETRIES || "2", 10);
 
+const dbRetries = counter(
+  "db_query_retries_total",
+  "Queries repetidas por CONNECT_TIMEOUT"
+);
+const dbFailures = counter(
+  "db_query_failures_total",
+  "Queries falhadas (depois dos retries) por código de erro",
+  ["code"]
+);
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -54,7 +68,7 @@ try {
   const safeHost = u.hostname;
   const safeDb = u.pathname.replace(/^\//, "") || "(default)";
 
-  console.log("[db] Using PostgreSQL", {
+  log.info("Using PostgreSQL", {
     host: safeHost,
     database: safeDb,
     max: DB_MAX_CONNECTIONS,
@@ -70,15 +84,11 @@ try {
     connect_timeout: DB_CONNECT_TIMEOUT,
     prepare: false,
     onnotice: (msg) => {
-      try {
-        console.warn("[db][notice]", msg?.message || msg);
-      } catch {
-        console.warn("[db][notice]", msg);
-      }
+      log.warn("notice", { message: msg?.message ?? String(msg) });
     },
   });
 } catch (e) {
-  console.error("[db] ❌ Erro ao inicializar ligação PostgreSQL:", e);
+  log.error("Erro ao inicializar ligação PostgreSQL", { err: e });
   throw e;
 }
 
@@ -99,7 +109,8 @@ async function sqlWrapper(strings, ...values) {
           e.message?.includes("CONNECT_TIMEOUT"));
 
       if (isConnTimeout && attempt < maxAttempts) {
-        console.warn("[db] CONNECT_TIMEOUT, retrying query", {
+        dbRetries.inc();
+        log.warn("CONNECT_TIMEOUT, retrying query", {
           attempt,
           maxAttempts,
         });
@@ -109,7 +120,7 @@ async function sqlWrapper(strings, ...values) {
 
       // log detalhado para syntax error
       if (e && e.code === "42601") {
-        console.error("[db] SQL syntax error", {
+        log.error("SQL syntax error", {
           code: e.code,
           message: e.message,
           position: e.position,
@@ -117,6 +128,7 @@ async function sqlWrapper(strings, ...values) {
         });
       }
 
+      dbFailures.inc({ code: isConnTimeout ? "CONNECT_TIMEOUT" : e?.code || "unknown" });
       throw e;
     }
   }
@@ -0,0 +1,373 @@
+// src/config/schema.js
+import { sql } from "./db.js";
+import { createLogger } from "../lib/logger.js";
+import { SLOT_HOURS, SLOT_MINUTES } from "../uptime/slots.js";
+
+/**
+ * Tabelas próprias do worker (a tabela miners é gerida pela app principal).
+ * Tudo idempotente (IF NOT EXISTS) – corre no arranque do worker.
+ * As únicas alterações à tabela miners estão à parte em MINERS_CHANGES.
+ */
+const STATEMENTS = [
+  /* ===== política de confirmação por pool (NULL = default do job) ===== */
+  `CREATE TABLE IF NOT EXISTS pool_policies (
+     pool                    text        PRIMARY KEY,
+     reads                   integer     CHECK (reads BETWEEN 1 AND 5),
+     tolerance_slots         integer     CHECK (tolerance_slots BETWEEN 1 AND 96),
+     grace_minutes           integer     CHECK (grace_minutes BETWEEN 0 AND 1440),
+     missing                 text        CHECK (missing IN ('offline', 'unknown')),
+     hours_require_hashrate  boolean,
+     updated_at              timestamptz NOT NULL DEFAULT now()
+   )`,
+
+  /* ===== histórico de uptime por slot (append-only) ===== */
+  `CREATE TABLE IF NOT EXISTS miner_uptime_slots (
+     miner_id     bigint      NOT NULL,
+     slot         timestamptz NOT NULL,
+     state        text        NOT NULL
+                  CHECK (state IN ('online', 'offline', 'unknown', 'maintenance')),
+     credited     boolean     NOT NULL DEFAULT false,
+     hashrate     double precision,
+     pool         text        NOT NULL,
+     reason       text,
+     recorded_at  timestamptz NOT NULL DEFAULT now(),
+     PRIMARY KEY (miner_id, slot)
+   )`,
+  `CREATE INDEX IF NOT EXISTS miner_uptime_slots_slot_idx
+     ON miner_uptime_slots (slot)`,
+  // slot reconstruído a partir do histórico da pool (worker em baixo no tick)
+  `ALTER TABLE miner_uptime_slots
+     ADD COLUMN IF NOT EXISTS backfilled boolean NOT NULL DEFAULT false`,
+  // execuções concluídas por pool/slot – buracos aqui = slots perdidos
+  `CREATE TABLE IF NOT EXISTS uptime_runs (
+     pool         text        NOT NULL,
+     slot         timestamptz NOT NULL,
+     miners       integer     NOT NULL DEFAULT 0,
+     backfilled   boolean     NOT NULL DEFAULT false,
+     finished_at  timestamptz NOT NULL DEFAULT now(),
+     PRIMARY KEY (pool, slot)
+   )`,
+
+  // horas que já existiam em total_horas_online antes do histórico começar
+  `DO $$
+   BEGIN
+     IF to_regclass('public.miner_uptime_baseline') IS NULL THEN
+       CREATE TABLE miner_uptime_baseline (
+         miner_id  bigint      PRIMARY KEY,
+         hours     numeric     NOT NULL,
+         as_of     timestamptz NOT NULL DEFAULT now()
+       );
+       INSERT INTO miner_uptime_baseline (miner_id, hours)
+       SELECT id, COALESCE(total_horas_online, 0) FROM miners;
+     END IF;
+   END $$`,
+
+  // total_horas_online derivado: baseline + SLOT_HOURS por slot creditado depois
+  // dela. Compara o próprio slot (não recorded_at): um slot anterior à baseline
+  // gravado mais tarde pelo backfill já está contado em b.hours. Exceção: o
+  // slot que estava a decorrer em as_of conta se só foi gravado depois
+  `CREATE OR REPLACE VIEW miner_uptime_totals AS
+   SELECT m.id AS miner_id,
+          COALESCE(b.hours, 0)
+            + ${SLOT_HOURS} * COUNT(s.slot) FILTER (
+                WHERE s.credited
+                  AND (b.as_of IS NULL
+                       OR s.slot >= b.as_of
+                       OR (s.slot > b.as_of - interval '${SLOT_MINUTES} minutes'
+                           AND s.recorded_at >= b.as_of))
+              ) AS total_horas_online
+   FROM miners m
+   LEFT JOIN miner_uptime_baseline b ON b.miner_id = m.id
+   LEFT JOIN miner_uptime_slots s ON s.miner_id = m.id
+   GROUP BY m.id, b.hours, b.as_of`,
+
+  /* ===== hashrate agregado (a partir de miner_uptime_slots.hashrate) ===== */
+  `CREATE TABLE IF NOT EXISTS miner_hashrate_hourly (
+     miner_id      bigint      NOT NULL,
+     bucket        timestamptz NOT NULL,
+     avg_hashrate  double precision NOT NULL,
+     min_hashrate  double precision NOT NULL,
+     max_hashrate  double precision NOT NULL,
+     samples       integer     NOT NULL,
+     PRIMARY KEY (miner_id, bucket)
+   )`,
+  `CREATE TABLE IF NOT EXISTS miner_hashrate_daily (
+     miner_id      bigint      NOT NULL,
+     bucket        timestamptz NOT NULL,
+     avg_hashrate  double precision NOT NULL,
+     min_hashrate  double precision NOT NULL,
+     max_hashrate  double precision NOT NULL,
+     samples       integer     NOT NULL,
+     PRIMARY KEY (miner_id, bucket)
+   )`,
+
+  /* ===== desempenho: hashrate esperado (H/s) por modelo ou por miner ===== */
+  `CREATE TABLE IF NOT EXISTS miner_model_specs (
+     model              text        PRIMARY KEY,
+     algo               text,
+     expected_hashrate  double precision NOT NULL CHECK (expected_hashrate > 0),
+     updated_at         timestamptz NOT NULL DEFAULT now()
+   )`,
+  // expected_hashrate aqui sobrepõe-se ao do modelo; resto é calculado pelo job
+  `CREATE TABLE IF NOT EXISTS miner_performance (
+     miner_id           bigint      PRIMARY KEY,
+     model              text,
+     expected_hashrate  double precision CHECK (expected_hashrate > 0),
+     avg_hashrate       double precision,
+     ratio              double precision,
+     degraded           boolean     NOT NULL DEFAULT false,
+     degraded_since     timestamptz,
+     checked_at         timestamptz
+   )`,
+
+  /* ===== eventos de mudança de status + webhooks ===== */
+  `CREATE TABLE IF NOT EXISTS miner_status_events (
+     id           bigserial   PRIMARY KEY,
+     miner_id     bigint      NOT NULL,
+     from_status  text,
+     to_status    text        NOT NULL,
+     slot         timestamptz NOT NULL,
+     pool         text        NOT NULL,
+     evidence     jsonb       NOT NULL DEFAULT '{}'::jsonb,
+     created_at   timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE INDEX IF NOT EXISTS miner_status_events_miner_idx
+     ON miner_status_events (miner_id, created_at DESC)`,
+  `CREATE TABLE IF NOT EXISTS webhook_endpoints (
+     id          serial      PRIMARY KEY,
+     url         text        NOT NULL,
+     secret      text        NOT NULL,
+     active      boolean     NOT NULL DEFAULT true,
+     created_at  timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+     id               bigserial   PRIMARY KEY,
+     event_id         bigint      NOT NULL REFERENCES miner_status_events (id),
+     endpoint_id      integer     NOT NULL REFERENCES webhook_endpoints (id),
+     status           text        NOT NULL DEFAULT 'pending'
+                      CHECK (status IN ('pending', 'delivered', 'dead')),
+     attempts         integer     NOT NULL DEFAULT 0,
+     next_attempt_at  timestamptz NOT NULL DEFAULT now(),
+     last_status      integer,
+     last_error       text,
+     delivered_at     timestamptz,
+     created_at       timestamptz NOT NULL DEFAULT now(),
+     UNIQUE (event_id, endpoint_id)
+   )`,
+  `CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx
+     ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'`,
+  // entregas que esgotaram as tentativas (payload guardado para replay manual)
+  `CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+     delivery_id  bigint      PRIMARY KEY REFERENCES webhook_deliveries (id),
+     event_id     bigint      NOT NULL,
+     endpoint_id  integer     NOT NULL,
+     url          text        NOT NULL,
+     payload      jsonb       NOT NULL,
+     attempts     integer     NOT NULL,
+     last_status  integer,
+     last_error   text,
+     failed_at    timestamptz NOT NULL DEFAULT now()
+   )`,
+
+  // flag de flapping (o histórico de mudanças vive em Redis, ver src/uptime/flap.js)
+  `CREATE TABLE IF NOT EXISTS miner_flap_state (
+     miner_id     bigint      PRIMARY KEY,
+     flapping     boolean     NOT NULL DEFAULT false,
+     since        timestamptz,
+     transitions  integer     NOT NULL DEFAULT 0,
+     updated_at   timestamptz NOT NULL DEFAULT now()
+   )`,
+
+  /* ===== notificações a clientes (dono = miners.user_id) ===== */
+  `CREATE TABLE IF NOT EXISTS notification_prefs (
+     user_id               text     PRIMARY KEY,
+     quiet_start           time,
+     quiet_end             time,
+     timezone              text     NOT NULL DEFAULT 'Europe/Lisbon',
+     min_downtime_minutes  integer  CHECK (min_downtime_minutes >= 0),
+     notify_recovery       boolean  NOT NULL DEFAULT true
+   )`,
+  `CREATE TABLE IF NOT EXISTS notification_channels (
+     id          serial      PRIMARY KEY,
+     user_id     text        NOT NULL,
+     kind        text        NOT NULL CHECK (kind IN ('email', 'telegram', 'discord')),
+     target      text        NOT NULL,
+     active      boolean     NOT NULL DEFAULT true,
+     created_at  timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE INDEX IF NOT EXISTS notification_channels_user_idx
+     ON notification_channels (user_id) WHERE active`,
+  // um alerta por episódio offline; no máximo um em aberto (ainda offline) por miner
+  `CREATE TABLE IF NOT EXISTS miner_alerts (
+     id                bigserial   PRIMARY KEY,
+     miner_id          bigint      NOT NULL,
+     user_id           text        NOT NULL,
+     offline_event_id  bigint      NOT NULL UNIQUE,
+     offline_since     timestamptz NOT NULL,
+     state             text        NOT NULL DEFAULT 'pending'
+                       CHECK (state IN ('pending', 'notified', 'resolved', 'suppressed')),
+     notified_at       timestamptz,
+     recovered_at      timestamptz,
+     closed_at         timestamptz
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS miner_alerts_open_idx
+     ON miner_alerts (miner_id)
+     WHERE state IN ('pending', 'notified') AND recovered_at IS NULL`,
+  `CREATE TABLE IF NOT EXISTS notification_log (
+     id          bigserial   PRIMARY KEY,
+     alert_id    bigint      NOT NULL REFERENCES miner_alerts (id),
+     channel_id  integer     NOT NULL REFERENCES notification_channels (id),
+     kind        text        NOT NULL CHECK (kind IN ('offline', 'recovery')),
+     ok          boolean     NOT NULL,
+     error       text,
+     sent_at     timestamptz NOT NULL DEFAULT now(),
+     UNIQUE (alert_id, channel_id, kind)
+   )`,
+  // envio falhado fica ok = false e é repetido (attempts) até NOTIFY_MAX_ATTEMPTS
+  `ALTER TABLE notification_log
+     ADD COLUMN IF NOT EXISTS attempts integer NOT NULL DEFAULT 1`,
+  `ALTER TABLE miner_alerts ADD COLUMN IF NOT EXISTS next_attempt_at timestamptz`,
+  // último miner_status_events.id já processado pelas notificações
+  `CREATE TABLE IF NOT EXISTS notification_cursor (
+     id             smallint PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+     last_event_id  bigint   NOT NULL
+   )`,
+  `INSERT INTO notification_cursor (id, last_event_id)
+     SELECT 1, COALESCE(MAX(id), 0) FROM miner_status_events
+   ON CONFLICT (id) DO NOTHING`,
+
+  /* ===== API de status: chaves de acesso (só o sha256 é guardado) ===== */
+  // user_id NULL só faz sentido com admin = true (vê todos os miners)
+  `CREATE TABLE IF NOT EXISTS api_keys (
+     id            serial      PRIMARY KEY,
+     key_hash      text        NOT NULL UNIQUE,
+     user_id       text,
+     admin         boolean     NOT NULL DEFAULT false,
+     label         text,
+     active        boolean     NOT NULL DEFAULT true,
+     created_at    timestamptz NOT NULL DEFAULT now(),
+     last_used_at  timestamptz,
+     CHECK (admin OR user_id IS NOT NULL)
+   )`,
+
+  /* ===== contas de pool (credenciais partilhadas pelos miners da conta) ===== */
+  `CREATE TABLE IF NOT EXISTS pool_accounts (
+     id          serial      PRIMARY KEY,
+     pool        text        NOT NULL,
+     account     text        NOT NULL DEFAULT '',
+     coin        text        NOT NULL DEFAULT '',
+     api_key     text,
+     secret_key  text,
+     key_fp      text        NOT NULL DEFAULT '',
+     label       text,
+     active      boolean     NOT NULL DEFAULT true,
+     created_at  timestamptz NOT NULL DEFAULT now(),
+     updated_at  timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS pool_accounts_key_idx
+     ON pool_accounts (pool, account, coin, key_fp)`,
+  // miners.pool_account_id: ver MINERS_CHANGES (tabela da app principal)
+  // última verificação das credenciais (src/pools/health.js)
+  `CREATE TABLE IF NOT EXISTS pool_account_health (
+     account_id            integer     PRIMARY KEY REFERENCES pool_accounts (id),
+     result                text        NOT NULL CHECK (result IN ('ok', 'auth', 'error')),
+     reason                text,
+     http_status           integer,
+     message               text,
+     checked_at            timestamptz NOT NULL DEFAULT now(),
+     last_ok_at            timestamptz,
+     last_auth_failure_at  timestamptz,
+     auth_failures         integer     NOT NULL DEFAULT 0,
+     alerted_at            timestamptz
+   )`,
+  `CREATE TABLE IF NOT EXISTS pool_account_events (
+     id             bigserial   PRIMARY KEY,
+     account_id     integer     NOT NULL REFERENCES pool_accounts (id),
+     pool           text        NOT NULL,
+     kind           text        NOT NULL
+                    CHECK (kind IN ('credentials_invalid', 'credentials_recovered')),
+     auth_failures  integer     NOT NULL DEFAULT 0,
+     reason         text,
+     http_status    integer,
+     message        text,
+     created_at     timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE INDEX IF NOT EXISTS pool_account_events_account_idx
+     ON pool_account_events (account_id, id DESC)`,
+  // eventos de conta também seguem pelos webhooks: cada entrega aponta para
+  // um evento de status OU um evento de conta
+  `ALTER TABLE webhook_deliveries ALTER COLUMN event_id DROP NOT NULL`,
+  `ALTER TABLE webhook_deliveries
+     ADD COLUMN IF NOT EXISTS account_event_id bigint REFERENCES pool_account_events (id)`,
+  `DO $$ BEGIN
+     ALTER TABLE webhook_deliveries ADD CONSTRAINT webhook_deliveries_one_event_chk
+       CHECK ((event_id IS NULL) <> (account_event_id IS NULL));
+   EXCEPTION WHEN duplicate_object THEN NULL;
+   END $$`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS webhook_deliveries_account_event_idx
+     ON webhook_deliveries (account_event_id, endpoint_id)
+     WHERE account_event_id IS NOT NULL`,
+  `ALTER TABLE webhook_dead_letters ALTER COLUMN event_id DROP NOT NULL`,
+  `ALTER TABLE webhook_dead_letters ADD COLUMN IF NOT EXISTS account_event_id bigint`,
+];
+
+/**
+ * Alterações do worker à tabela miners (dona: app principal). Devem ir também
+ * para as migrações da app principal – o SQL está aqui para copiar:
+ *
+ *   ALTER TABLE miners ADD COLUMN pool_account_id integer REFERENCES pool_accounts (id);
+ *   CREATE INDEX miners_pool_account_idx ON miners (pool_account_id);
+ *
+ * No arranque só se aplicam se ainda faltarem (verificado no catálogo, sem
+ * tocar na tabela), com lock_timeout curto para nunca bloquear a app à espera
+ * do lock. SCHEMA_ALTER_MINERS=false desliga (a app principal já as aplica);
+ * nesse caso falta de coluna é só registada.
+ */
+const MINERS_CHANGES = [
+  {
+    name: "miners.pool_account_id",
+    exists: () => sql/*sql*/`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = 'miners'
+        AND column_name = 'pool_account_id'
+    `,
+    stmt: `ALTER TABLE miners
+             ADD COLUMN IF NOT EXISTS pool_account_id integer REFERENCES pool_accounts (id)`,
+  },
+  {
+    name: "miners_pool_account_idx",
+    exists: () => sql/*sql*/`
+      SELECT 1 FROM pg_indexes
+      WHERE schemaname = current_schema() AND indexname = 'miners_pool_account_idx'
+    `,
+    stmt: `CREATE INDEX IF NOT EXISTS miners_pool_account_idx ON miners (pool_account_id)`,
+  },
+];
+const MINERS_LOCK_TIMEOUT = "5s";
+
+async function ensureMinersChanges(log) {
+  const allowed = String(process.env.SCHEMA_ALTER_MINERS ?? "true").toLowerCase() !== "false";
+  for (const c of MINERS_CHANGES) {
+    if ((await c.exists()).length) continue;
+    if (!allowed) {
+      log.error("alteração em falta na tabela miners (aplicar na app principal)", {
+        change: c.name,
+      });
+      continue;
+    }
+    await sql.begin(async (tx) => {
+      await tx.unsafe(`SET LOCAL lock_timeout = '${MINERS_LOCK_TIMEOUT}'`);
+      await tx.unsafe(c.stmt);
+    });
+    log.warn("tabela miners alterada pelo worker", { change: c.name });
+  }
+}
+
+export async function ensureSchema() {
+  const log = createLogger("db");
+  for (const stmt of STATEMENTS) {
+    await sql.unsafe(stmt);
+  }
+  await ensureMinersChanges(log);
+  log.info("schema ok", { statements: STATEMENTS.length + MINERS_CHANGES.length });
+}
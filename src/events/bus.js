@@ -0,0 +1,29 @@
+// src/events/bus.js
+import { EventEmitter } from "events";
+import { createLogger } from "../lib/logger.js";
+
+/**
+ * Bus interno do processo (não atravessa instâncias).
+ *
+ * Eventos:
+ *  - "status.changed"       → { id, minerId, from, to, slot, pool, evidence, createdAt }
+ *  - "account.credentials"  → { id, accountId, pool, kind, authFailures, reason, createdAt }
+ *                              kind = credentials_invalid | credentials_recovered
+ *
+ * Quem precisa de garantias de entrega (webhooks) lê da BD, não daqui.
+ */
+export const bus = new EventEmitter();
+const log = createLogger("events");
+bus.setMaxListeners(50);
+
+/** emite sem deixar um listener com erro derrubar o job */
+export function emitSafe(name, payload) {
+  try {
+    bus.emit(name, payload);
+  } catch (e) {
+    log.error("listener failed", {
+      event: name,
+      err: String(e?.message || e),
+    });
+  }
+}
@@ -0,0 +1,54 @@
+// src/events/statusEvents.js
+import { sql } from "../config/db.js";
+import { emitSafe } from "./bus.js";
+
+/**
+ * Regista transições de status (online ⇄ offline) e agenda a entrega para
+ * todos os webhooks ativos, na mesma statement (evento sem entrega pendente
+ * nunca fica a meio).
+ *
+ * changes: [{ minerId, from, to, evidence }]
+ */
+export async function recordStatusEvents({ slot, pool, changes }) {
+  if (!changes.length) return [];
+
+  const rows = await sql/*sql*/`
+    WITH ev AS (
+      INSERT INTO miner_status_events
+        (miner_id, from_status, to_status, slot, pool, evidence)
+      SELECT c.miner_id, c.from_status, c.to_status, ${slot}::timestamptz,
+             ${pool}, c.evidence::jsonb
+      FROM unnest(
+        ${changes.map((c) => String(c.minerId))}::bigint[],
+        ${changes.map((c) => c.from ?? null)}::text[],
+        ${changes.map((c) => c.to)}::text[],
+        ${changes.map((c) => JSON.stringify(c.evidence ?? {}))}::text[]
+      ) AS c(miner_id, from_status, to_status, evidence)
+      RETURNING id, miner_id, from_status, to_status, slot, pool, evidence, created_at
+    ),
+    dl AS (
+      INSERT INTO webhook_deliveries (event_id, endpoint_id)
+      SELECT ev.id, w.id
+      FROM ev CROSS JOIN webhook_endpoints w
+      WHERE w.active
+    )
+    SELECT * FROM ev
+  `;
+
+  const events = rows.map(toEvent);
+  for (const e of events) emitSafe("status.changed", e);
+  return events;
+}
+
+export function toEvent(row) {
+  return {
+    id: String(row.id),
+    minerId: String(row.miner_id),
+    from: row.from_status ?? null,
+    to: row.to_status,
+    slot: new Date(row.slot).toISOString(),
+    pool: row.pool,
+    evidence: typeof row.evidence === "string" ? JSON.parse(row.evidence) : row.evidence,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
@@ -0,0 +1,160 @@
+// src/events/statusStream.js
+import { redis } from "../config/upstash.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("status-stream");
+
+/**
+ * Log de atualizações de status/hashrate para o SSE (GET /status/stream).
+ *
+ * Os jobs correm só no líder e o SSE é servido por todas as réplicas, por
+ * isso o log vive em Redis:
+ *   status:stream:seq  → último id (INCR)
+ *   status:stream      → lista (mais recente primeiro) dos últimos STREAM_MAX
+ * A escrita é um script Lua (id + LPUSH + LTRIM atómicos) para os ids ficarem
+ * por ordem na lista mesmo com vários publicadores.
+ *
+ * Cada processo tem um único poller (só enquanto há ligações abertas) que
+ * distribui os eventos novos pelos subscritores locais.
+ */
+const KEY_SEQ = "status:stream:seq";
+const KEY_LOG = "status:stream";
+const STREAM_MAX = 1000;
+const POLL_MS = Number(process.env.STATUS_STREAM_POLL_MS) || 2000;
+
+// ARGV = eventos JSON sem id; devolve o último id atribuído
+const PUBLISH_LUA = `
+local id = 0
+for i = 1, #ARGV do
+  id = redis.call("incr", KEYS[1])
+  redis.call("lpush", KEYS[2], '{"id":' .. id .. ',' .. string.sub(ARGV[i], 2))
+end
+redis.call("ltrim", KEYS[2], 0, ${STREAM_MAX - 1})
+return id`;
+
+const parse = (v) => (typeof v === "string" ? JSON.parse(v) : v);
+
+/**
+ * updates: [{ minerId, online, hashrate, found, at }]
+ * origin: "job" (uptime) | "refresh" (pedido com refresh=1)
+ */
+export async function publishStatusUpdates(updates, origin) {
+  if (!updates.length) return 0;
+  const events = updates.map((u) =>
+    JSON.stringify({
+      miner_id: String(u.minerId),
+      worker_status: u.online ? "online" : "offline",
+      hashrate_10min: Number(u.hashrate) || 0,
+      worker_found: !!u.found,
+      as_of: u.at,
+      origin,
+    })
+  );
+  return Number(await redis.eval(PUBLISH_LUA, [KEY_SEQ, KEY_LOG], events));
+}
+
+// entradas lidas a mais no 1º LRANGE (publicações entre o GET e o LRANGE)
+const READ_MARGIN = 20;
+
+/**
+ * Eventos com id > lastId (ordem crescente). complete=false se o log já
+ * não tem todos (resume demasiado antigo → o cliente deve ler o estado atual).
+ * reset=true se lastId > seq: o log foi apagado (flush do Redis) e os ids
+ * recomeçaram; quem lê deve voltar a ler o estado atual e seguir a partir de seq.
+ *
+ * A lista cresce pela cabeça enquanto lemos, por isso as posições não servem
+ * de referência: lê-se por blocos desde a cabeça e usa-se o id guardado em
+ * cada entrada até chegar a um id <= lastId (ou ao fim da lista).
+ */
+export async function eventsSince(lastId) {
+  const seq = Number((await redis.get(KEY_SEQ)) ?? 0);
+  if (seq < lastId) return { events: [], complete: false, seq, reset: true };
+  if (seq === lastId) return { events: [], complete: true, seq };
+
+  const events = [];
+  let start = 0;
+  let count = Math.min(seq - lastId + READ_MARGIN, STREAM_MAX);
+  let boundary = false;
+  while (!boundary && start < STREAM_MAX) {
+    const raw = await redis.lrange(KEY_LOG, start, start + count - 1);
+    for (const e of raw.map(parse)) {
+      if (!e) continue;
+      if (e.id <= lastId) {
+        boundary = true;
+        break;
+      }
+      events.push(e);
+    }
+    if (raw.length < count) break; // fim da lista
+    start += count;
+    count = Math.min(100, STREAM_MAX - start);
+  }
+  events.sort((a, b) => a.id - b.id);
+
+  // ids são contíguos na lista: completo se o mais antigo lido é lastId + 1
+  const complete = events.length > 0 && events[0].id === lastId + 1;
+  const newest = events.length ? events[events.length - 1].id : seq;
+  return { events, complete, seq: Math.max(seq, newest) };
+}
+
+/* ===== subscritores locais + poller ===== */
+const subscribers = new Set();
+let cursor = null; // último id entregue aos subscritores deste processo
+let timer = null;
+let polling = false;
+
+function dispatch(ev) {
+  for (const fn of subscribers) {
+    try {
+      fn(ev);
+    } catch (e) {
+      log.warn("subscriber failed", { error: e?.message || String(e) });
+    }
+  }
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    if (cursor == null) {
+      cursor = Number((await redis.get(KEY_SEQ)) ?? 0);
+      return;
+    }
+    let r = await eventsSince(cursor);
+    if (r.reset) {
+      // ids recomeçaram: os subscritores esquecem o último id e lemos desde 0
+      log.warn("log reiniciado", { cursor, seq: r.seq });
+      dispatch({ reset: true, seq: r.seq });
+      cursor = 0;
+      r = await eventsSince(0);
+    }
+    cursor = Math.max(cursor, r.seq);
+    for (const ev of r.events) dispatch(ev);
+  } catch (e) {
+    log.warn("poll failed", { error: e?.message || String(e) });
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * fn(ev) para cada evento novo; devolve unsubscribe.
+ * Depois de um flush do Redis recebe primeiro { reset: true, seq }.
+ */
+export function subscribe(fn) {
+  subscribers.add(fn);
+  if (!timer) {
+    timer = setInterval(poll, POLL_MS);
+    timer.unref?.();
+    poll();
+  }
+  return () => {
+    subscribers.delete(fn);
+    if (!subscribers.size && timer) {
+      clearInterval(timer);
+      timer = null;
+      cursor = null;
+    }
+  };
+}
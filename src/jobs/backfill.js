@@ -0,0 +1,38 @@
+// src/jobs/backfill.js
+import cron from "node-cron";
+import { backfillAll, backfillConfig } from "../uptime/backfill.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("uptime:backfill");
+
+export async function runBackfillOnce(now = new Date()) {
+  const t0 = Date.now();
+  try {
+    const byPool = await backfillAll(backfillConfig(), now);
+    const gaps = Object.values(byPool).reduce((a, s) => a + (s.gaps || 0), 0);
+    if (gaps) log.info("backfill", { gaps, ms: Date.now() - t0 });
+    return { ok: true, pools: byPool };
+  } catch (e) {
+    log.error("job failed", { err: e });
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+/** corre no arranque e de hora a hora (apanha também o slot do restart) */
+export function startBackfill() {
+  runBackfillOnce().catch(() => {});
+
+  const task = cron.schedule(
+    "20 * * * *",
+    async () => {
+      try {
+        await runBackfillOnce();
+      } catch (e) {
+        log.error("tick error", { err: e });
+      }
+    },
+    { timezone: "Europe/Lisbon" }
+  );
+  log.info("agendado", { schedule: "20 * * * *" });
+  return task;
+}
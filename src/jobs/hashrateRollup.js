@@ -0,0 +1,63 @@
+// src/jobs/hashrateRollup.js
+import cron from "node-cron";
+import { withLock } from "../lib/locks.js";
+import { rollupDaily, rollupHourly } from "../uptime/hashrate.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("rollup:hashrate");
+
+// recalcula sempre as últimas horas: apanha slots que chegaram atrasados
+const HOURLY_LOOKBACK_H = 3;
+const DAILY_LOOKBACK_D = 1;
+
+export async function runHashrateRollupOnce(now = new Date()) {
+  const hourKey = now.toISOString().slice(0, 13);
+
+  // upserts idempotentes: o lock só evita trabalho em paralelo
+  const r = await withLock("rollup:hashrate", { ttlSec: 120 }, () =>
+    rollupOnce(now, hourKey)
+  );
+  if (!r.acquired) {
+    log.info("lock ativo – ignorado nesta instância", { slot: hourKey });
+    return { ok: true, skipped: true };
+  }
+  return r.result;
+}
+
+async function rollupOnce(now, hourKey) {
+  const t0 = Date.now();
+  try {
+    const to = now.toISOString();
+    const fromH = new Date(
+      now.getTime() - HOURLY_LOOKBACK_H * 60 * 60 * 1000
+    ).toISOString();
+    const fromD = new Date(
+      now.getTime() - DAILY_LOOKBACK_D * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    const hourly = await rollupHourly(fromH, to);
+    const daily = await rollupDaily(fromD, to);
+
+    log.info("rollup", { hour: hourKey, hourly, daily, ms: Date.now() - t0 });
+    return { ok: true, hourly, daily };
+  } catch (e) {
+    log.error("job failed", { err: e });
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+export function startHashrateRollup() {
+  const task = cron.schedule(
+    "5 * * * *",
+    async () => {
+      try {
+        await runHashrateRollupOnce();
+      } catch (e) {
+        log.error("tick error", { err: e });
+      }
+    },
+    { timezone: "Europe/Lisbon" }
+  );
+  log.info("agendado", { schedule: "5 * * * *" });
+  return task;
+}
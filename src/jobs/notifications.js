@@ -0,0 +1,50 @@
+// src/jobs/notifications.js
+import cron from "node-cron";
+import { withLock } from "../lib/locks.js";
+import {
+  ingestStatusEvents,
+  notifyConfig,
+  processDueAlerts,
+} from "../notifications/alerts.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("notify:alerts");
+
+export async function runNotificationsOnce(now = new Date()) {
+  const r = await withLock("notify:alerts", { ttlSec: 60 }, () =>
+    notificationsOnce(now)
+  );
+  return r.acquired ? r.result : { ok: true, skipped: true };
+}
+
+async function notificationsOnce(now) {
+  const t0 = Date.now();
+  try {
+    const ing = await ingestStatusEvents();
+    const st = await processDueAlerts(notifyConfig(), now);
+
+    if (ing.events || st.offline || st.recovery || st.dropped || st.retry) {
+      log.info("alertas", { ...ing, ...st, ms: Date.now() - t0 });
+    }
+    return { ok: true, ...ing, ...st };
+  } catch (e) {
+    log.error("job failed", { err: e });
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+export function startNotifications() {
+  const task = cron.schedule(
+    "* * * * *",
+    async () => {
+      try {
+        await runNotificationsOnce();
+      } catch (e) {
+        log.error("tick error", { err: e });
+      }
+    },
+    { timezone: "Europe/Lisbon" }
+  );
+  log.info("agendado", { schedule: "* * * * *" });
+  return task;
+}
@@ -0,0 +1,71 @@
+// src/jobs/performance.js
+import cron from "node-cron";
+import { withLock } from "../lib/locks.js";
+import { slotISO } from "../uptime/slots.js";
+import {
+  evaluatePerformance,
+  performanceConfig,
+} from "../uptime/performance.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("perf:degraded");
+
+export async function runPerformanceOnce() {
+  const sISO = slotISO();
+  const r = await withLock("perf:degraded", { ttlSec: 120 }, () =>
+    performanceOnce(sISO)
+  );
+  if (!r.acquired) {
+    log.info("lock ativo – ignorado nesta instância", { slot: sISO });
+    return { ok: true, skipped: true };
+  }
+  return r.result;
+}
+
+async function performanceOnce(sISO) {
+  const t0 = Date.now();
+  try {
+    const cfg = performanceConfig();
+    const changes = await evaluatePerformance(cfg);
+    const toDegraded = changes.filter((c) => c.degraded);
+    const recovered = changes.filter((c) => !c.degraded);
+
+    for (const c of toDegraded) {
+      log.warn("DEGRADED", {
+        id: c.minerId,
+        ratio: c.ratio == null ? null : Number(c.ratio.toFixed(3)),
+        threshold: cfg.ratio,
+      });
+    }
+
+    log.info("slot avaliado", {
+      slot: sISO,
+      degraded: toDegraded.length,
+      recovered: recovered.length,
+      windowHours: cfg.windowHours,
+      ratio: cfg.ratio,
+      ms: Date.now() - t0,
+    });
+    return { ok: true, degraded: toDegraded.length, recovered: recovered.length };
+  } catch (e) {
+    log.error("job failed", { err: e });
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+export function startPerformance() {
+  // 10 min depois de cada tick de uptime (slots já gravados)
+  const task = cron.schedule(
+    "10,25,40,55 * * * *",
+    async () => {
+      try {
+        await runPerformanceOnce();
+      } catch (e) {
+        log.error("tick error", { err: e });
+      }
+    },
+    { timezone: "Europe/Lisbon" }
+  );
+  log.info("agendado", { schedule: "10,25,40,55 * * * *" });
+  return task;
+}
@@ -0,0 +1,50 @@
+// src/jobs/webhookDelivery.js
+import cron from "node-cron";
+import { withLock } from "../lib/locks.js";
+import { DELIVERY_BATCH, deliverPending } from "../webhooks/deliver.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("webhooks:delivery");
+const MAX_ROUNDS = 10;
+
+export async function runWebhookDeliveryOnce() {
+  // a reserva por linha (SKIP LOCKED) já evita entregas duplicadas; o lock
+  // evita ticks sobrepostos quando um endpoint lento atrasa a ronda
+  const r = await withLock("webhooks:delivery", { ttlSec: 60 }, deliveryOnce);
+  return r.acquired ? r.result : { ok: true, skipped: true };
+}
+
+async function deliveryOnce() {
+  const t0 = Date.now();
+  const total = { claimed: 0, delivered: 0, retry: 0, dead: 0 };
+  try {
+    for (let i = 0; i < MAX_ROUNDS; i++) {
+      const s = await deliverPending();
+      for (const k of Object.keys(total)) total[k] += s[k];
+      if (s.claimed < DELIVERY_BATCH) break;
+    }
+    if (total.claimed) {
+      log.info("entregas", { ...total, ms: Date.now() - t0 });
+    }
+    return { ok: true, ...total };
+  } catch (e) {
+    log.error("job failed", { err: e });
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
+export function startWebhookDelivery() {
+  const task = cron.schedule(
+    "* * * * *",
+    async () => {
+      try {
+        await runWebhookDeliveryOnce();
+      } catch (e) {
+        log.error("tick error", { err: e });
+      }
+    },
+    { timezone: "Europe/Lisbon" }
+  );
+  log.info("agendado", { schedule: "* * * * *" });
+  return task;
+}
@@ -0,0 +1,204 @@
+// src/lib/auth.js
+import crypto from "crypto";
+import { sql } from "../config/db.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("auth");
+
+/**
+ * Autenticação da API de status.
+ *
+ * Credencial (por esta ordem):
+ *   Authorization: Bearer <token>  ·  X-API-Key: <key>  ·  ?access_token=<token>
+ * (o query param existe para o EventSource do browser, que não envia headers)
+ *
+ *  - JWT HS256 (3 partes) assinado com STATUS_JWT_SECRET:
+ *      sub = user_id do cliente, admin = true (opcional), jti (opcional),
+ *      exp / nbf verificados
+ *  - senão é uma API key: sha256 procurado em api_keys (npm run apikeys)
+ *
+ * Scope: um token de cliente só vê miners com miners.user_id = sub/user_id.
+ * Ids fora do scope (ou inexistentes, para não permitir enumeração) → 403.
+ * Contas de pool (/accounts/:id/…): só se a conta tiver miners do cliente.
+ * Tokens admin veem tudo.
+ */
+const KEY_TTL_MS = 60_000;
+
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+/* ===== JWT (HS256) ===== */
+const b64json = (part) => JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+
+function verifyJwt(token, secret, now = Date.now()) {
+  const [h, p, sig] = token.split(".");
+  let header;
+  let payload;
+  try {
+    header = b64json(h);
+    payload = b64json(p);
+  } catch {
+    return null;
+  }
+  if (header?.alg !== "HS256") return null;
+
+  const expected = crypto.createHmac("sha256", secret).update(`${h}.${p}`).digest();
+  const given = Buffer.from(sig || "", "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  const nowSec = Math.floor(now / 1000);
+  if (payload.exp != null && nowSec >= Number(payload.exp)) return null;
+  if (payload.nbf != null && nowSec < Number(payload.nbf)) return null;
+  return payload;
+}
+
+/*
+ * ===== API keys (cache curta: revogar demora no máximo KEY_TTL_MS) =====
+ * LRU limitada a KEY_CACHE_MAX chaves válidas; chaves desconhecidas não são
+ * guardadas (senão chaves aleatórias fariam crescer a memória sem limite).
+ */
+const KEY_CACHE_MAX = 1000;
+const keyCache = new Map(); // hash -> { at, auth } (ordem de inserção = LRU)
+
+function cachedKey(hash) {
+  const c = keyCache.get(hash);
+  if (!c) return null;
+  keyCache.delete(hash);
+  if (Date.now() - c.at >= KEY_TTL_MS) return null;
+  keyCache.set(hash, c); // mais recente no fim
+  return c.auth;
+}
+
+function cacheKey(hash, auth) {
+  keyCache.delete(hash);
+  keyCache.set(hash, { at: Date.now(), auth });
+  while (keyCache.size > KEY_CACHE_MAX) keyCache.delete(keyCache.keys().next().value);
+}
+
+async function lookupApiKey(key) {
+  const hash = hashApiKey(key);
+  const cached = cachedKey(hash);
+  if (cached) return cached;
+
+  const [row] = await sql/*sql*/`
+    UPDATE api_keys SET last_used_at = now()
+    WHERE key_hash = ${hash} AND active
+    RETURNING id, user_id, admin
+  `;
+  if (!row) return null;
+  const auth = { userId: row.user_id ?? null, admin: row.admin === true, via: `key:${row.id}` };
+  cacheKey(hash, auth);
+  return auth;
+}
+
+function credentialFrom(req) {
+  const h = String(req.headers.authorization ?? "");
+  const m = /^Bearer\s+(.+)$/i.exec(h);
+  if (m) return m[1].trim();
+  if (req.headers["x-api-key"]) return String(req.headers["x-api-key"]).trim();
+  if (req.query?.access_token) return String(req.query.access_token).trim();
+  return "";
+}
+
+async function authenticate(token) {
+  if (token.split(".").length === 3) {
+    const secret = process.env.STATUS_JWT_SECRET;
+    if (!secret) return null;
+    const claims = verifyJwt(token, secret);
+    if (!claims) return null;
+    const admin = claims.admin === true;
+    if (!admin && !claims.sub) return null;
+    // via identifica o token (rate limit): jti se existir; sem sub nem jti, só "jwt"
+    return {
+      userId: claims.sub ? String(claims.sub) : null,
+      admin,
+      via: claims.jti ? `jwt:${claims.jti}` : "jwt",
+    };
+  }
+  return lookupApiKey(token);
+}
+
+/* ===== middlewares ===== */
+export async function requireAuth(req, res, next) {
+  const token = credentialFrom(req);
+  if (!token) return res.status(401).json({ error: "unauthorized" });
+  try {
+    const auth = await authenticate(token);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    req.auth = auth;
+    next();
+  } catch (e) {
+    log.error("auth failed", { code: e?.code, message: e?.message });
+    res.status(500).json({ error: "internal_error" });
+  }
+}
+
+export function requireAdmin(req, res, next) {
+  if (req.auth?.admin) return next();
+  res.status(403).json({ error: "forbidden" });
+}
+
+/** ids pedidos que este token não pode ver */
+export async function forbiddenMinerIds(auth, ids) {
+  if (auth?.admin) return [];
+  if (!auth?.userId) return ids;
+  const rows = await sql/*sql*/`
+    SELECT id::text AS id FROM miners
+    WHERE id::text = ANY(${ids}) AND user_id::text = ${auth.userId}
+  `;
+  const own = new Set(rows.map((r) => r.id));
+  return ids.filter((id) => !own.has(id));
+}
+
+/** 403 se algum dos miners (pick(req) → ids) estiver fora do scope do token */
+export function requireMinerScope(pick) {
+  return async (req, res, next) => {
+    const ids = [...new Set(pick(req).map((s) => String(s).trim()).filter(Boolean))];
+    if (!ids.length) return next(); // o handler responde 400
+    try {
+      const denied = await forbiddenMinerIds(req.auth, ids);
+      if (denied.length) return res.status(403).json({ error: "forbidden", ids: denied });
+      next();
+    } catch (e) {
+      log.error("scope check failed", { code: e?.code, message: e?.message });
+      res.status(500).json({ error: "internal_error" });
+    }
+  };
+}
+
+/**
+ * 403 se a conta de pool (req.params.id) não tiver nenhum miner do cliente.
+ * Contas inexistentes também dão 403 (o admin recebe o 404 do handler).
+ */
+export async function requireAccountScope(req, res, next) {
+  if (req.auth?.admin) return next();
+  const id = String(req.params.id ?? "").trim();
+  try {
+    const rows = req.auth?.userId
+      ? await sql/*sql*/`
+          SELECT 1 FROM miners
+          WHERE pool_account_id::text = ${id} AND user_id::text = ${req.auth.userId}
+          LIMIT 1
+        `
+      : [];
+    if (!rows.length) return res.status(403).json({ error: "forbidden" });
+    next();
+  } catch (e) {
+    log.error("scope check failed", { code: e?.code, message: e?.message });
+    res.status(500).json({ error: "internal_error" });
+  }
+}
+
+/** ids de ?ids=1,2,3, sem vazios nem repetidos (a mesma lista que os handlers percorrem) */
+export const queryIds = (req) => [
+  ...new Set(
+    String(req.query.ids ?? "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+  ),
+];
+export const paramId = (req) => [String(req.params.id ?? "")];
@@ -0,0 +1,166 @@
+// src/lib/cache.js
+import { redis } from "../config/upstash.js";
+import { counter, gauge } from "./metrics.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("cache");
+
+/**
+ * Cache com backend configurável (Redis partilhado entre réplicas ou Map
+ * local), TTL por valor, stale-while-revalidate e coalescing.
+ *
+ * Entrada guardada: { data, ts, ttlMs }.
+ *  - idade < ttlMs                → fresh: devolve
+ *  - idade < ttlMs + staleMs      → stale: devolve já e revalida em background
+ *  - resto / ausente              → miss: vai à origem
+ *
+ * Pedidos concorrentes para a mesma chave nesta instância partilham a mesma
+ * ida à origem (inflight), exceto refresh: não se junta a uma ida já em
+ * curso (pode ter começado antes e trazer dados velhos) – faz a sua e passa
+ * a ser essa a partilhada. Falhas do backend nunca falham o pedido: contam
+ * como miss.
+ */
+
+/* ===== métricas (lidas das stats de cada cache no scrape) ===== */
+const caches = [];
+
+counter("cache_requests_total", "Leituras da cache por resultado", ["cache", "result"], {
+  collect: () =>
+    caches.flatMap((c) =>
+      ["hits", "stale", "misses", "errors"].map((r) => [
+        { cache: c.name, result: r },
+        c.stats[r],
+      ])
+    ),
+});
+gauge("cache_hit_ratio", "Fração de leituras servidas da cache (fresh + stale)", ["cache"], {
+  collect: () =>
+    caches.map((c) => {
+      const { hits, stale, misses } = c.stats;
+      const total = hits + stale + misses;
+      return [{ cache: c.name }, total ? (hits + stale) / total : 0];
+    }),
+});
+
+/* ===== backends ===== */
+export function memoryBackend() {
+  const store = new Map(); // key -> { value, exp }
+  return {
+    name: "memory",
+    async get(key) {
+      const e = store.get(key);
+      if (!e) return null;
+      if (e.exp <= Date.now()) {
+        store.delete(key);
+        return null;
+      }
+      return e.value;
+    },
+    async set(key, value, ttlSec) {
+      store.set(key, { value, exp: Date.now() + ttlSec * 1000 });
+    },
+  };
+}
+
+export function redisBackend({ prefix = "cache:" } = {}) {
+  return {
+    name: "redis",
+    async get(key) {
+      const raw = await redis.get(prefix + key);
+      if (raw == null) return null;
+      return typeof raw === "string" ? JSON.parse(raw) : raw;
+    },
+    async set(key, value, ttlSec) {
+      await redis.set(prefix + key, JSON.stringify(value), { ex: ttlSec });
+    },
+  };
+}
+
+/* ===== cache ===== */
+export function createCache({ name, backend, ttlMs, staleMs = 0 }) {
+  const ttlOf = typeof ttlMs === "function" ? ttlMs : () => ttlMs;
+  const inflight = new Map(); // key -> Promise<data>
+  const stats = { hits: 0, stale: 0, misses: 0, errors: 0 };
+
+  async function read(key) {
+    try {
+      return await backend.get(key);
+    } catch (e) {
+      stats.errors += 1;
+      log.warn("get falhou", { cache: name, key, error: e?.message || String(e) });
+      return null;
+    }
+  }
+
+  async function write(key, data) {
+    const entry = { data, ts: Date.now(), ttlMs: ttlOf(data) };
+    if (!(entry.ttlMs > 0)) return;
+    try {
+      await backend.set(key, entry, Math.ceil((entry.ttlMs + staleMs) / 1000));
+    } catch (e) {
+      stats.errors += 1;
+      log.warn("set falhou", { cache: name, key, error: e?.message || String(e) });
+    }
+  }
+
+  async function probe(key) {
+    const e = await read(key);
+    if (!e || typeof e.ts !== "number") return null;
+    const age = Date.now() - e.ts;
+    if (age < e.ttlMs) return { data: e.data, state: "fresh" };
+    if (age < e.ttlMs + staleMs) return { data: e.data, state: "stale" };
+    return null;
+  }
+
+  function count(hit) {
+    if (hit?.state === "fresh") stats.hits += 1;
+    else if (hit?.state === "stale") stats.stale += 1;
+    else stats.misses += 1;
+  }
+
+  /** estado atual da chave sem ir à origem: { data, state } | null */
+  async function peek(key) {
+    const hit = await probe(key);
+    count(hit);
+    return hit;
+  }
+
+  /**
+   * vai à origem (uma só vez por chave em simultâneo) e guarda;
+   * refresh=true nunca reaproveita a ida em curso
+   */
+  function fill(key, loader, { refresh = false } = {}) {
+    const running = inflight.get(key);
+    if (running && !refresh) return running;
+    const p = (async () => {
+      try {
+        const data = await loader();
+        // uma ida mais recente (refresh) já tomou o lugar: não sobrepor com dados velhos
+        if (inflight.get(key) === p) await write(key, data);
+        return data;
+      } finally {
+        if (inflight.get(key) === p) inflight.delete(key);
+      }
+    })();
+    inflight.set(key, p);
+    return p;
+  }
+
+  /** stale: revalida sem bloquear o pedido */
+  function revalidate(key, loader) {
+    fill(key, loader).catch((e) =>
+      log.warn("revalidate falhou", { cache: name, key, error: e?.message || String(e) })
+    );
+  }
+
+  async function get(key, loader, { refresh = false } = {}) {
+    const hit = refresh ? null : await probe(key);
+    count(hit);
+    if (hit?.state === "stale") revalidate(key, loader);
+    return hit ? hit.data : fill(key, loader, { refresh });
+  }
+
+  const cache = { name, backend: backend.name, stats, peek, fill, revalidate, get };
+  caches.push(cache);
+  return cache;
+}
@@ -0,0 +1,129 @@
+// src/lib/leader.js
+import { INSTANCE_ID, acquireLock } from "./locks.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("leader");
+
+const num = (v, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : def;
+};
+
+/**
+ * Eleição de líder entre réplicas do worker (lock Redis "leader").
+ *
+ * Só o líder agenda os crons; todas as réplicas servem a API. A cada ttl/3
+ * o líder renova o lock e as outras tentam adquiri-lo – se o líder morrer
+ * (sem release) outra réplica assume em no máximo LEADER_TTL_SEC.
+ *
+ * Se a renovação falhar (lock roubado, ou Redis em baixo há mais que o TTL)
+ * a réplica despromove-se logo: é preferível ficar um intervalo sem líder
+ * do que ter dois a agendar. Os jobs continuam protegidos pelos locks
+ * próprios (src/lib/locks.js) durante a transição.
+ *
+ * LEADER_ELECTION=off → esta instância é sempre líder (dev / réplica única).
+ */
+export function leaderConfig(env = process.env) {
+  return {
+    enabled: String(env.LEADER_ELECTION ?? "on").toLowerCase() !== "off",
+    ttlSec: num(env.LEADER_TTL_SEC, 30),
+  };
+}
+
+let state = { leader: false, since: null, enabled: true };
+
+/** estado desta instância – para /health */
+export function leaderStatus() {
+  return { instance: INSTANCE_ID, ...state };
+}
+
+/**
+ * Arranca a eleição. onElected() é chamado ao ganhar a liderança e
+ * onDemoted() ao perdê-la (parar os crons). Devolve { stop() } que
+ * liberta a liderança (shutdown → failover imediato).
+ */
+export function startLeaderElection({ onElected, onDemoted }, cfg = leaderConfig()) {
+  state.enabled = cfg.enabled;
+  let isLeader = false;
+
+  const elect = async () => {
+    isLeader = true;
+    state = { ...state, leader: true, since: new Date().toISOString() };
+    log.info("eleito líder", { instance: INSTANCE_ID });
+    try {
+      await onElected();
+    } catch (e) {
+      log.error("onElected falhou", { err: e });
+    }
+  };
+
+  const demote = async (why) => {
+    if (!isLeader) return;
+    isLeader = false;
+    state = { ...state, leader: false, since: null };
+    log.warn("liderança perdida", { instance: INSTANCE_ID, why });
+    try {
+      await onDemoted();
+    } catch (e) {
+      log.error("onDemoted falhou", { err: e });
+    }
+  };
+
+  if (!cfg.enabled) {
+    log.info("LEADER_ELECTION=off – esta instância agenda os crons");
+    elect();
+    return { stop: async () => demote("shutdown") };
+  }
+
+  let lock = null;
+  let renewedAt = 0;
+  let stopped = false;
+  let busy = false;
+
+  async function tick() {
+    if (busy || stopped) return;
+    busy = true;
+    try {
+      if (!lock) {
+        lock = await acquireLock("leader", { ttlSec: cfg.ttlSec, job: "cron" });
+        if (lock) {
+          renewedAt = Date.now();
+          await elect();
+        }
+        return;
+      }
+
+      let ok = false;
+      try {
+        ok = await lock.extend();
+        if (ok) renewedAt = Date.now();
+      } catch (e) {
+        // Redis instável: mantém enquanto o lock ainda não pode ter expirado
+        log.warn("renovação falhou", { error: e?.message || String(e) });
+        ok = Date.now() - renewedAt < cfg.ttlSec * 1000;
+      }
+      if (!ok) {
+        lock = null;
+        await demote("lock perdido");
+      }
+    } catch (e) {
+      log.warn("eleição falhou", { error: e?.message || String(e) });
+    } finally {
+      busy = false;
+    }
+  }
+
+  const timer = setInterval(tick, Math.max(1000, Math.floor((cfg.ttlSec * 1000) / 3)));
+  tick();
+
+  return {
+    async stop() {
+      stopped = true;
+      clearInterval(timer);
+      const l = lock;
+      lock = null;
+      await demote("shutdown");
+      if (l) await l.release();
+    },
+  };
+}
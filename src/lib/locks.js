@@ -0,0 +1,150 @@
+// src/lib/locks.js
+import crypto from "crypto";
+import os from "os";
+import { redis } from "../config/upstash.js";
+import { createLogger, withContext } from "./logger.js";
+
+/**
+ * Locks distribuídos em Redis (todas as instâncias do worker partilham).
+ *
+ *  - chave   lock:<nome>  com valor { owner, job, acquiredAt, ttlSec }
+ *  - owner   INSTANCE_ID (host:pid:rand) – só o dono estende/liberta
+ *  - heartbeat estende o TTL a cada ttl/3 enquanto o job corre, por isso o
+ *    TTL pode ser curto: se a instância morrer o lock expira sozinho
+ *  - release explícito no fim (e em SIGTERM via releaseAllLocks)
+ */
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+const PREFIX = "lock:";
+const log = createLogger("locks");
+
+// compare-and-delete / compare-and-expire (atómicos no Redis)
+const RELEASE_LUA = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+const EXTEND_LUA = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+const held = new Map(); // key -> lock
+
+/** tenta adquirir; devolve o lock ou null se outro dono o tem */
+export async function acquireLock(name, { ttlSec = 60, job = name } = {}) {
+  const key = PREFIX + name;
+  const value = JSON.stringify({
+    owner: INSTANCE_ID,
+    job,
+    acquiredAt: new Date().toISOString(),
+    ttlSec,
+  });
+
+  const ok = await redis.set(key, value, { nx: true, ex: ttlSec });
+  if (!ok) return null;
+
+  let timer = null;
+  const lock = {
+    key,
+    name,
+    lost: false,
+
+    async extend() {
+      const r = await redis.eval(EXTEND_LUA, [key], [value, String(ttlSec * 1000)]);
+      if (Number(r) !== 1) {
+        lock.lost = true;
+        log.warn("lock perdido (expirou ou mudou de dono)", { name, owner: INSTANCE_ID });
+      }
+      return !lock.lost;
+    },
+
+    startHeartbeat() {
+      if (timer) return;
+      const everyMs = Math.max(1000, Math.floor((ttlSec * 1000) / 3));
+      timer = setInterval(() => {
+        lock.extend().catch((e) =>
+          log.warn("heartbeat falhou", { name, error: e?.message || String(e) })
+        );
+      }, everyMs);
+      timer.unref?.();
+    },
+
+    async release() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      held.delete(key);
+      try {
+        return Number(await redis.eval(RELEASE_LUA, [key], [value])) === 1;
+      } catch (e) {
+        log.warn("release falhou (expira pelo TTL)", { name, error: e?.message || String(e) });
+        return false;
+      }
+    },
+  };
+
+  held.set(key, lock);
+  return lock;
+}
+
+/**
+ * Corre fn com o lock (heartbeat + release garantidos).
+ * Devolve { acquired: false } se outra instância o tem.
+ * Cada execução tem o seu correlation id nos logs (job = opts.job ?? nome).
+ */
+export function withLock(name, opts, fn) {
+  return withContext({ job: opts?.job ?? name }, async () => {
+    const lock = await acquireLock(name, opts);
+    if (!lock) return { acquired: false };
+    lock.startHeartbeat();
+    try {
+      return { acquired: true, result: await fn(lock) };
+    } finally {
+      await lock.release();
+    }
+  });
+}
+
+/** locks atuais (todas as instâncias) – para GET /locks */
+export async function listLocks() {
+  const keys = await redis.keys(`${PREFIX}*`);
+  const out = [];
+  for (const key of keys.sort()) {
+    const [raw, ttl] = await Promise.all([redis.get(key), redis.ttl(key)]);
+    if (raw == null) continue;
+    let v = raw;
+    if (typeof raw === "string") {
+      try {
+        v = JSON.parse(raw);
+      } catch {
+        v = { owner: raw };
+      }
+    }
+    out.push({
+      name: key.slice(PREFIX.length),
+      owner: v.owner ?? null,
+      job: v.job ?? null,
+      acquiredAt: v.acquiredAt ?? null,
+      ttlSec: Number(ttl),
+      mine: v.owner === INSTANCE_ID,
+    });
+  }
+  return out;
+}
+
+/** GET /locks */
+export async function getLocks(req, res) {
+  try {
+    res.json({ instance: INSTANCE_ID, locks: await listLocks() });
+  } catch (e) {
+    res.status(500).json({ error: "redis_error", message: String(e?.message || e) });
+  }
+}
+
+/** shutdown: liberta o que esta instância tem (não espera pelo TTL) */
+export async function releaseAllLocks() {
+  await Promise.all([...held.values()].map((l) => l.release()));
+}
@@ -0,0 +1,189 @@
+// src/lib/logger.js
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+/**
+ * Logger estruturado partilhado (uma linha JSON por entrada):
+ *
+ *   {"ts":"…","level":"warn","module":"uptime:viabtc","cid":"9f2c…","job":"uptime:viabtc",
+ *    "msg":"GROUP SKIPPED","reason":"auth",…}
+ *
+ *   const log = createLogger("uptime:viabtc");
+ *   log.info("slot processado", { groups: 3 });   // debug | info | warn | error
+ *
+ * Níveis (env):
+ *   LOG_LEVEL=info                                   nível por omissão
+ *   LOG_LEVELS="uptime:*=debug,pool:viabtc=warn"     por módulo (prefixo com *)
+ *
+ * Correlation id: withContext({ job }, fn) (cada execução de job) e o
+ * middleware requestContext (cada pedido HTTP; respeita X-Request-Id) põem
+ * cid + campos no contexto assíncrono; todas as linhas escritas dentro
+ * levam-nos sem ter de os passar à mão.
+ *
+ * Redação automática (não depende de cada módulo mascarar à mão):
+ *  - campos com nome de segredo (api_key, secretKey, token, authorization…)
+ *  - query params com esses nomes em qualquer string (URLs, mensagens de erro)
+ *  - "Bearer <token>" e tokens no path (bot do Telegram, webhooks do Discord)
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = "[redacted]";
+
+const als = new AsyncLocalStorage();
+
+/* ===== configuração de níveis ===== */
+const levelOf = (v, def) => LEVELS[String(v ?? "").trim().toLowerCase()] ?? def;
+const DEFAULT_LEVEL = levelOf(process.env.LOG_LEVEL, LEVELS.info);
+
+// [{ name, prefix, level }] – regras exatas primeiro, depois o prefixo mais longo
+const RULES = String(process.env.LOG_LEVELS ?? "")
+  .split(",")
+  .map((part) => {
+    const [name, lvl] = part.split("=").map((s) => s?.trim());
+    if (!name || LEVELS[lvl?.toLowerCase()] == null) return null;
+    const prefix = name.endsWith("*") ? name.slice(0, -1) : null;
+    return { name, prefix, level: LEVELS[lvl.toLowerCase()] };
+  })
+  .filter(Boolean)
+  .sort((a, b) => (a.prefix == null ? -1 : b.prefix == null ? 1 : b.prefix.length - a.prefix.length));
+
+function moduleLevel(module) {
+  for (const r of RULES) {
+    if (r.prefix == null ? r.name === module : module.startsWith(r.prefix)) return r.level;
+  }
+  return DEFAULT_LEVEL;
+}
+
+/* ===== redação ===== */
+const SECRET_FIELDS = new Set([
+  "apikey",
+  "secretkey",
+  "secret",
+  "password",
+  "passwd",
+  "token",
+  "accesstoken",
+  "refreshtoken",
+  "authorization",
+  "xapikey",
+  "signature",
+  "sign",
+  "keyhash",
+  "privatekey",
+  "cookie",
+]);
+const isSecretField = (k) => SECRET_FIELDS.has(String(k).toLowerCase().replace(/[_-]/g, ""));
+
+const SECRET_PARAM_RE =
+  /([?&;](?:api[_-]?key|apikey|secret(?:[_-]?key)?|token|access[_-]?token|signature|sign|password)=)[^&\s"'#]*/gi;
+const BEARER_RE = /\b(Bearer\s+)[A-Za-z0-9._~+/=-]+/g;
+// tokens no path: Telegram /bot<token>/…, webhooks do Discord /api/webhooks/<id>/<token>
+const PATH_SECRET_RE = /(\/bot)\d+:[A-Za-z0-9_-]+|(\/api\/webhooks\/\d+\/)[A-Za-z0-9_-]+/g;
+
+export function redactString(s) {
+  return String(s)
+    .replace(SECRET_PARAM_RE, `$1${REDACTED}`)
+    .replace(BEARER_RE, `$1${REDACTED}`)
+    .replace(PATH_SECRET_RE, (_, bot, hook) => `${bot ?? hook}${REDACTED}`);
+}
+
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value == null) return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value === "bigint") return String(value);
+  if (typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) {
+    return redact(
+      { name: value.name, message: value.message, code: value.code, stack: value.stack },
+      depth,
+      seen
+    );
+  }
+  if (seen.has(value) || depth > 6) return "[…]";
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1, seen));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (v === undefined) continue;
+    out[k] = isSecretField(k) && v ? REDACTED : redact(v, depth + 1, seen);
+  }
+  return out;
+}
+
+/* ===== escrita ===== */
+const RESERVED = new Set(["ts", "level", "module", "cid", "msg"]);
+
+function write(level, module, msg, fields) {
+  const entry = {
+    ts: new Date().toISOString(),
+    level,
+    module,
+    ...als.getStore(),
+    msg: redactString(msg instanceof Error ? msg.message : msg),
+  };
+  const extra = redact(fields instanceof Error ? { err: fields } : fields ?? {});
+  for (const [k, v] of Object.entries(extra)) entry[RESERVED.has(k) ? `${k}_` : k] = v;
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ ts: entry.ts, level, module, msg: entry.msg, unserializable: true });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const loggers = new Map();
+
+/** logger de um módulo (mesmo objeto para o mesmo nome) */
+export function createLogger(module) {
+  if (loggers.has(module)) return loggers.get(module);
+  const min = moduleLevel(module);
+  const at = (level) => (msg, fields) => {
+    if (LEVELS[level] >= min) write(level, module, msg, fields);
+  };
+  const log = {
+    module,
+    enabled: (level) => LEVELS[level] >= min,
+    debug: at("debug"),
+    info: at("info"),
+    warn: at("warn"),
+    error: at("error"),
+  };
+  loggers.set(module, log);
+  return log;
+}
+
+/* ===== correlation id ===== */
+export const newCorrelationId = () => crypto.randomBytes(6).toString("hex");
+
+/** corre fn com { cid, ...fields } no contexto (cid novo se não vier) */
+export function withContext(fields, fn) {
+  const parent = als.getStore();
+  return als.run({ ...parent, cid: newCorrelationId(), ...fields }, fn);
+}
+
+export const currentContext = () => als.getStore() ?? null;
+
+const httpLog = createLogger("http");
+const REQUEST_ID_RE = /^[A-Za-z0-9._-]{1,64}$/;
+
+/** middleware: cid por pedido (X-Request-Id) + 1 linha por resposta */
+export function requestContext(req, res, next) {
+  const given = String(req.headers["x-request-id"] ?? "");
+  const cid = REQUEST_ID_RE.test(given) ? given : newCorrelationId();
+  res.setHeader("X-Request-Id", cid);
+  const t0 = Date.now();
+  als.run({ cid }, () => {
+    res.on("finish", () => {
+      const fields = {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ms: Date.now() - t0,
+      };
+      if (res.statusCode >= 500) httpLog.warn("request", fields);
+      else httpLog.info("request", fields);
+    });
+    next();
+  });
+}
@@ -0,0 +1,143 @@
+// src/lib/metrics.js
+
+/**
+ * Métricas Prometheus (formato texto 0.0.4) em memória, por processo.
+ * Cada instância expõe as suas em GET /metrics; o Prometheus junta-as
+ * pelas labels instance/job do scrape.
+ *
+ *   const calls = counter("pool_api_requests_total", "…", ["pool", "result"]);
+ *   calls.inc({ pool: "viabtc", result: "ok" });
+ *
+ * collect (opcional) → [[labels, valor]] lido só no scrape (ex.: stats da cache).
+ */
+const metrics = new Map(); // nome -> métrica
+
+// segundos; cobre de chamadas rápidas a jobs de vários minutos
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const escapeLabel = (v) =>
+  String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => String(labels[n] ?? "")));
+}
+
+function labelText(labelNames, values, extra = "") {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+const fmt = (n) => (Number.isFinite(n) ? String(n) : n > 0 ? "+Inf" : n < 0 ? "-Inf" : "NaN");
+
+function register(m) {
+  const prev = metrics.get(m.name);
+  if (prev) {
+    if (prev.type !== m.type) throw new Error(`métrica ${m.name} já existe com outro tipo`);
+    return prev;
+  }
+  metrics.set(m.name, m);
+  return m;
+}
+
+function simple(type, name, help, labelNames, collect) {
+  const values = new Map(); // labelKey -> valor
+  const m = {
+    name,
+    type,
+    help,
+    labelNames,
+    inc(labels, v = 1) {
+      const k = labelKey(labelNames, labels);
+      values.set(k, (values.get(k) || 0) + v);
+    },
+    set(labels, v) {
+      values.set(labelKey(labelNames, labels), Number(v));
+    },
+    lines() {
+      const rows = [...values].map(([k, v]) => [JSON.parse(k), v]);
+      if (collect) {
+        for (const [labels, v] of collect()) {
+          rows.push([labelNames.map((n) => String(labels[n] ?? "")), Number(v)]);
+        }
+      }
+      return rows.map(([vals, v]) => `${name}${labelText(labelNames, vals)} ${fmt(v)}`);
+    },
+  };
+  return m;
+}
+
+export function counter(name, help, labelNames = [], { collect } = {}) {
+  return register(simple("counter", name, help, labelNames, collect));
+}
+
+export function gauge(name, help, labelNames = [], { collect } = {}) {
+  return register(simple("gauge", name, help, labelNames, collect));
+}
+
+export function histogram(name, help, labelNames = [], { buckets = DEFAULT_BUCKETS } = {}) {
+  const series = new Map(); // labelKey -> { counts[], sum, count }
+  return register({
+    name,
+    type: "histogram",
+    help,
+    labelNames,
+    observe(labels, v) {
+      const k = labelKey(labelNames, labels);
+      let s = series.get(k);
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(k, s);
+      }
+      for (let i = 0; i < buckets.length; i++) if (v <= buckets[i]) s.counts[i] += 1;
+      s.sum += v;
+      s.count += 1;
+    },
+    /** mede fn() em segundos */
+    async time(labels, fn) {
+      const t0 = process.hrtime.bigint();
+      try {
+        return await fn();
+      } finally {
+        this.observe(labels, Number(process.hrtime.bigint() - t0) / 1e9);
+      }
+    },
+    lines() {
+      const out = [];
+      for (const [k, s] of series) {
+        const vals = JSON.parse(k);
+        buckets.forEach((b, i) => {
+          out.push(`${name}_bucket${labelText(labelNames, vals, `le="${b}"`)} ${s.counts[i]}`);
+        });
+        out.push(`${name}_bucket${labelText(labelNames, vals, 'le="+Inf"')} ${s.count}`);
+        out.push(`${name}_sum${labelText(labelNames, vals)} ${fmt(s.sum)}`);
+        out.push(`${name}_count${labelText(labelNames, vals)} ${s.count}`);
+      }
+      return out;
+    },
+  });
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const m of metrics.values()) {
+    out.push(`# HELP ${m.name} ${m.help}`);
+    out.push(`# TYPE ${m.name} ${m.type}`);
+    out.push(...m.lines());
+  }
+  return `${out.join("\n")}\n`;
+}
+
+/* ===== métricas do processo ===== */
+gauge("process_uptime_seconds", "Segundos desde o arranque do processo", [], {
+  collect: () => [[{}, Math.round(process.uptime())]],
+});
+gauge("process_resident_memory_bytes", "Memória residente do processo", [], {
+  collect: () => [[{}, process.memoryUsage().rss]],
+});
+
+/** GET /metrics */
+export function getMetrics(req, res) {
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
+}
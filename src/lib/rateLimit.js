@@ -0,0 +1,139 @@
+// src/lib/rateLimit.js
+import { redis } from "../config/upstash.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("rate-limit");
+
+const num = (v, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : def;
+};
+
+/**
+ * Rate limit por cliente, partilhado entre réplicas (janela fixa em Redis):
+ *   rl:<nome>:<cliente>:<janela> → INCR (+ EXPIRE na 1ª)
+ *
+ * Cliente = user id / API key / jti do token autenticado (req.auth, ver
+ * src/lib/auth.js) ou o IP (ipRateLimit conta sempre por IP e corre antes
+ * da autenticação).
+ * Acima do limite → 429 com Retry-After (segundos até a janela acabar).
+ * Redis em baixo → deixa passar (não derrubamos a API por causa do limite).
+ */
+const ipKey = (req) => `ip:${req.ip}`;
+
+// token sem user id (JWT admin sem sub): o jti do token; sem jti, o IP (senão
+// todos esses tokens partilhariam o mesmo limite)
+function clientKey(req) {
+  if (req.auth?.userId) return `u:${req.auth.userId}`;
+  if (req.auth && req.auth.via !== "jwt") return req.auth.via;
+  return ipKey(req);
+}
+
+export function rateLimit({
+  name,
+  limit,
+  windowSec,
+  header = "X-RateLimit",
+  when = () => true,
+  key = clientKey,
+}) {
+  return async (req, res, next) => {
+    if (!when(req)) return next();
+
+    const now = Date.now();
+    const windowMs = windowSec * 1000;
+    const win = Math.floor(now / windowMs);
+    const k = `rl:${name}:${key(req)}:${win}`;
+
+    let count;
+    try {
+      count = await redis.incr(k);
+      if (count === 1) await redis.expire(k, windowSec + 1);
+    } catch (e) {
+      log.warn("redis failed – sem limite", { name, error: e?.message || String(e) });
+      return next();
+    }
+
+    res.setHeader(`${header}-Limit`, String(limit));
+    res.setHeader(`${header}-Remaining`, String(Math.max(0, limit - count)));
+
+    if (count > limit) {
+      const retryAfter = Math.max(1, Math.ceil(((win + 1) * windowMs - now) / 1000));
+      res.setHeader("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "rate_limited", limit: name, retry_after: retryAfter });
+    }
+    next();
+  };
+}
+
+/**
+ * Limites da API de status (env):
+ *   STATUS_RATE_LIMIT / STATUS_RATE_WINDOW_SEC       = 120 / 60    todos os pedidos
+ *   STATUS_REFRESH_LIMIT / STATUS_REFRESH_WINDOW_SEC = 10 / 300    refresh=1 (pool ao vivo)
+ *   STATUS_IP_RATE_LIMIT / STATUS_IP_RATE_WINDOW_SEC = 600 / 60    por IP, antes da auth
+ *                                                                  (inclui os 401: trava
+ *                                                                  tentativas de adivinhar chaves)
+ *   STATUS_BATCH_MAX                                 = 100         ids por pedido
+ *
+ * O IP é o req.ip do express: atrás de um load balancer/proxy é preciso
+ * TRUST_PROXY (app.set("trust proxy")), senão todos os clientes partilham o
+ * IP do proxy e o mesmo limite. Valores: "true" (confia em todos os saltos),
+ * nº de saltos ("1") ou lista de IPs/sub-redes ("loopback, 10.0.0.0/8").
+ * Sem TRUST_PROXY o X-Forwarded-For é ignorado (ligação direta).
+ */
+export const rateLimitConfig = {
+  limit: num(process.env.STATUS_RATE_LIMIT, 120),
+  windowSec: num(process.env.STATUS_RATE_WINDOW_SEC, 60),
+  refreshLimit: num(process.env.STATUS_REFRESH_LIMIT, 10),
+  refreshWindowSec: num(process.env.STATUS_REFRESH_WINDOW_SEC, 300),
+  ipLimit: num(process.env.STATUS_IP_RATE_LIMIT, 600),
+  ipWindowSec: num(process.env.STATUS_IP_RATE_WINDOW_SEC, 60),
+  batchMax: num(process.env.STATUS_BATCH_MAX, 100),
+};
+
+/** valor para app.set("trust proxy", …) a partir de TRUST_PROXY */
+export function trustProxySetting(v = process.env.TRUST_PROXY) {
+  const s = String(v ?? "").trim();
+  if (!s || s === "false") return false;
+  if (s === "true") return true;
+  if (/^\d+$/.test(s)) return Number(s);
+  return s;
+}
+
+export const apiRateLimit = rateLimit({
+  name: "api",
+  limit: rateLimitConfig.limit,
+  windowSec: rateLimitConfig.windowSec,
+});
+
+/** primeiro middleware das rotas autenticadas: limita por IP antes de requireAuth */
+export const ipRateLimit = rateLimit({
+  name: "ip",
+  limit: rateLimitConfig.ipLimit,
+  windowSec: rateLimitConfig.ipWindowSec,
+  header: "X-RateLimit-IP",
+  key: ipKey,
+});
+
+/** orçamento à parte (mais apertado) para pedidos que vão à pool */
+export function refreshRateLimit(when) {
+  return rateLimit({
+    name: "refresh",
+    limit: rateLimitConfig.refreshLimit,
+    windowSec: rateLimitConfig.refreshWindowSec,
+    header: "X-RateLimit-Refresh",
+    when,
+  });
+}
+
+/** 400 se o pedido trouxer mais ids do que STATUS_BATCH_MAX (antes de ir à BD) */
+export function maxIds(pick) {
+  return (req, res, next) => {
+    // conta a lista tal como o handler a percorre (queryIds já tira os repetidos)
+    const n = pick(req).map((s) => String(s).trim()).filter(Boolean).length;
+    if (n > rateLimitConfig.batchMax) {
+      return res.status(400).json({ error: "too_many_ids", max: rateLimitConfig.batchMax });
+    }
+    next();
+  };
+}
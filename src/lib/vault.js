@@ -0,0 +1,157 @@
+// src/lib/vault.js
+import crypto from "crypto";
+
+/**
+ * Cifra de credenciais de pool (envelope, AES-256-GCM).
+ *
+ * Cada valor tem a sua data key (DEK) aleatória; a DEK é cifrada ("wrapped")
+ * com a master key (KEK) indicada pelo key id. Formato guardado na própria
+ * coluna (api_key / secret_key de miners e de pool_accounts, secret de
+ * webhook_endpoints):
+ *
+ *   enc:v2:<kid>:<fp>:<dek cifrada>:<valor cifrado>      (base64url, iv|tag|ct)
+ *
+ *  - kid  → master key usada (rotação: src/scripts/credentials.js)
+ *  - fp   → impressão digital do valor em claro, HMAC-SHA256 com uma chave
+ *           derivada (HKDF) da master key: permite agrupar miners com a mesma
+ *           chave sem decifrar, sem dar um hash que se possa atacar offline.
+ *           Muda com a master key: "rotate" volta a cifrar o valor e
+ *           recalcula fp e pool_accounts.key_fp
+ *  - o valor cifrado está ligado à linha/coluna (AAD "<tabela>:<id>:<coluna>"),
+ *    por isso copiar o ciphertext para outra linha não decifra
+ *
+ * enc:v1 (fp = sha256 sem chave) ainda decifra; "rotate" passa-o a v2.
+ *
+ * Master keys (32 bytes em base64) por env:
+ *   CREDENTIALS_KEYS="k2:BASE64,k1:BASE64"   CREDENTIALS_KEY_ID=k2   (ativa)
+ *
+ * Valores sem prefixo continuam a funcionar em claro (linhas ainda não
+ * migradas / escritas pela app principal).
+ */
+const PREFIX = "enc:v2:";
+const LEGACY_PREFIX = "enc:v1:";
+const IV_LEN = 12;
+const TAG_LEN = 16;
+
+let keysCache = null;
+function masterKeys() {
+  if (keysCache) return keysCache;
+  const map = new Map();
+  for (const part of String(process.env.CREDENTIALS_KEYS ?? "").split(",")) {
+    const i = part.indexOf(":");
+    if (i <= 0) continue;
+    const kid = part.slice(0, i).trim();
+    const key = Buffer.from(part.slice(i + 1).trim(), "base64");
+    if (key.length !== 32) throw new Error(`CREDENTIALS_KEYS: chave ${kid} não tem 32 bytes`);
+    map.set(kid, key);
+  }
+  keysCache = { map, active: String(process.env.CREDENTIALS_KEY_ID ?? "").trim() || null };
+  return keysCache;
+}
+
+function masterKey(kid) {
+  const key = masterKeys().map.get(kid);
+  if (!key) throw new Error(`master key desconhecida: ${kid}`);
+  return key;
+}
+
+// chave do fingerprint, derivada da master key (nunca a própria KEK)
+const fpKeys = new Map();
+function fingerprintKey(kid) {
+  if (!fpKeys.has(kid)) {
+    const k = crypto.hkdfSync("sha256", masterKey(kid), "", "credentials:fingerprint", 32);
+    fpKeys.set(kid, Buffer.from(k));
+  }
+  return fpKeys.get(kid);
+}
+
+export function activeKeyId() {
+  const { active, map } = masterKeys();
+  if (!active || !map.has(active)) throw new Error("CREDENTIALS_KEY_ID não definido ou sem chave");
+  return active;
+}
+
+function encrypt(key, plain, aad) {
+  const iv = crypto.randomBytes(IV_LEN);
+  const c = crypto.createCipheriv("aes-256-gcm", key, iv);
+  c.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([c.update(plain), c.final()]);
+  return Buffer.concat([iv, c.getAuthTag(), ct]).toString("base64url");
+}
+
+function decrypt(key, blob, aad) {
+  const buf = Buffer.from(blob, "base64url");
+  const d = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, IV_LEN));
+  d.setAAD(Buffer.from(aad));
+  d.setAuthTag(buf.subarray(IV_LEN, IV_LEN + TAG_LEN));
+  return Buffer.concat([d.update(buf.subarray(IV_LEN + TAG_LEN)), d.final()]);
+}
+
+export const isSealed = (v) =>
+  typeof v === "string" && (v.startsWith(PREFIX) || v.startsWith(LEGACY_PREFIX));
+
+function parse(v) {
+  const version = v.startsWith(PREFIX) ? 2 : 1;
+  const [kid, fp, dek, payload] = v.slice(PREFIX.length).split(":");
+  if (!kid || !fp || !dek || !payload) throw new Error("credencial cifrada malformada");
+  return { version, kid, fp, dek, payload };
+}
+
+function hmacFingerprint(plain, kid) {
+  return crypto
+    .createHmac("sha256", fingerprintKey(kid))
+    .update(String(plain))
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/**
+ * impressão digital do valor em claro (mesma para valores cifrados ou não,
+ * com a key ativa). Sem master keys configuradas fica o sha256 simples: não
+ * há segredo para a chave do HMAC e os valores estão em claro na BD.
+ */
+export function fingerprint(value) {
+  if (!value) return "";
+  if (isSealed(value)) return parse(value).fp;
+  const { active, map } = masterKeys();
+  if (active && map.has(active)) return hmacFingerprint(value, active);
+  return crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 32);
+}
+
+/** key id de um valor cifrado (null se estiver em claro) */
+export const sealedKeyId = (v) => (isSealed(v) ? parse(v).kid : null);
+
+/** aad = "<tabela>:<id>:<coluna>" (ex.: "pool_accounts:7:api_key") */
+export function seal(plain, aad, kid = activeKeyId()) {
+  const dek = crypto.randomBytes(32);
+  return [
+    PREFIX + kid,
+    hmacFingerprint(plain, kid),
+    encrypt(masterKey(kid), dek, kid),
+    encrypt(dek, Buffer.from(String(plain), "utf8"), aad),
+  ].join(":");
+}
+
+/** decifra (valores em claro passam como estão) */
+export function open(value, aad) {
+  if (!isSealed(value)) return value;
+  const { kid, dek, payload } = parse(value);
+  const key = decrypt(masterKey(kid), dek, kid);
+  return decrypt(key, payload, aad).toString("utf8");
+}
+
+/** valor cifrado que a rotação para kid tem de refazer (outra key ou enc:v1) */
+export function needsReseal(value, kid = activeKeyId()) {
+  if (!isSealed(value)) return false;
+  const p = parse(value);
+  return p.version !== 2 || p.kid !== kid;
+}
+
+/**
+ * rotação: decifra e volta a cifrar com kid (DEK nova e fp recalculado, que
+ * depende da master key).
+ */
+export function reseal(value, aad, kid = activeKeyId()) {
+  if (!needsReseal(value, kid)) return value;
+  return seal(open(value, aad), aad, kid);
+}
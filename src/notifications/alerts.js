@@ -0,0 +1,344 @@
+// src/notifications/alerts.js
+import { sql } from "../config/db.js";
+import { tail } from "../pools/utils.js";
+import { sendToChannel } from "./channels.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("notify");
+
+const num = (v, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+};
+
+/**
+ * Alertas de miner offline (alimentados por miner_status_events).
+ *
+ *  - ingest: offline abre um alerta (no máximo um aberto por miner);
+ *            online fecha-o (em silêncio se ainda não tinha sido enviado)
+ *  - due:    alerta pendente há mais que min_downtime → envia; alerta
+ *            notificado e recuperado → envia recuperação
+ *
+ * Anti-spam: min_downtime (default NOTIFY_MIN_DOWNTIME_MINUTES=30), cooldown
+ * por miner entre avisos (NOTIFY_COOLDOWN_MINUTES=60 – um worker a oscilar só
+ * volta a avisar depois do cooldown e se continuar em baixo), quiet hours por
+ * cliente (adiam o envio), miners em flapping ficam pendentes até
+ * estabilizarem e um único digest por cliente/canal por execução.
+ *
+ * Envio falhado num canal: o alerta continua por enviar e volta a ser tentado
+ * (só nos canais que falharam) com backoff exponencial (NOTIFY_RETRY_BASE_SEC=60,
+ * teto 1h) até todos os canais terem sucesso ou NOTIFY_MAX_ATTEMPTS=5 tentativas.
+ */
+export function notifyConfig(env = process.env) {
+  return {
+    minDowntimeMinutes: num(env.NOTIFY_MIN_DOWNTIME_MINUTES, 30),
+    cooldownMinutes: num(env.NOTIFY_COOLDOWN_MINUTES, 60),
+    maxAttempts: Math.max(1, Math.floor(num(env.NOTIFY_MAX_ATTEMPTS, 5))),
+    retryBaseSec: num(env.NOTIFY_RETRY_BASE_SEC, 60),
+  };
+}
+
+const RETRY_MAX_SEC = 60 * 60;
+
+/** 60s, 2m, 4m … (teto 1h) */
+export function retryDelaySeconds(attempts, cfg = notifyConfig()) {
+  return Math.min(cfg.retryBaseSec * 2 ** Math.max(0, attempts - 1), RETRY_MAX_SEC);
+}
+
+const INGEST_BATCH = 500;
+
+/* ===== 1) eventos → alertas ===== */
+export async function ingestStatusEvents() {
+  const [cur] = await sql/*sql*/`
+    SELECT last_event_id FROM notification_cursor WHERE id = 1
+  `;
+  const since = cur ? String(cur.last_event_id) : "0";
+
+  const events = await sql/*sql*/`
+    SELECT id, miner_id, to_status, created_at
+    FROM miner_status_events
+    WHERE id > ${since}::bigint
+    ORDER BY id
+    LIMIT ${INGEST_BATCH}
+  `;
+  if (!events.length) return { events: 0, opened: 0, recovered: 0 };
+
+  let opened = 0;
+  let recovered = 0;
+
+  // ordem importa (offline → online no mesmo lote) → um a um
+  for (const e of events) {
+    if (e.to_status === "offline") {
+      const r = await sql/*sql*/`
+        INSERT INTO miner_alerts (miner_id, user_id, offline_event_id, offline_since)
+        SELECT m.id, m.user_id::text, ${e.id}, ${e.created_at}
+        FROM miners m
+        WHERE m.id = ${e.miner_id} AND m.user_id IS NOT NULL
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `;
+      opened += r.length;
+    } else if (e.to_status === "online") {
+      const r = await sql/*sql*/`
+        UPDATE miner_alerts
+        SET recovered_at = ${e.created_at},
+            state = CASE WHEN state = 'pending' THEN 'resolved' ELSE state END,
+            closed_at = CASE WHEN state = 'pending' THEN now() ELSE closed_at END
+        WHERE miner_id = ${e.miner_id}
+          AND state IN ('pending', 'notified')
+          AND recovered_at IS NULL
+        RETURNING id
+      `;
+      recovered += r.length;
+    }
+  }
+
+  await sql/*sql*/`
+    UPDATE notification_cursor
+    SET last_event_id = GREATEST(last_event_id, ${events[events.length - 1].id}::bigint)
+    WHERE id = 1
+  `;
+
+  return { events: events.length, opened, recovered };
+}
+
+/* ===== quiet hours ===== */
+function minutesOfDay(value) {
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(value ?? ""));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function localMinutes(date, timeZone) {
+  try {
+    const parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date);
+    const get = (t) => Number(parts.find((p) => p.type === t)?.value);
+    return get("hour") * 60 + get("minute");
+  } catch {
+    return date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+}
+
+/** true se agora está dentro de [quiet_start, quiet_end) na timezone do cliente */
+export function inQuietHours(prefs, now = new Date()) {
+  const start = minutesOfDay(prefs?.quiet_start);
+  const end = minutesOfDay(prefs?.quiet_end);
+  if (start == null || end == null || start === end) return false;
+  const t = localMinutes(now, prefs.timezone || "Europe/Lisbon");
+  return start < end ? t >= start && t < end : t >= start || t < end;
+}
+
+/* ===== mensagens ===== */
+function fmtTime(d, timeZone) {
+  try {
+    return new Intl.DateTimeFormat("pt-PT", {
+      timeZone: timeZone || "Europe/Lisbon",
+      day: "2-digit",
+      month: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    }).format(new Date(d));
+  } catch {
+    return new Date(d).toISOString();
+  }
+}
+
+const label = (a) => `${tail(a.worker_name) || `#${a.miner_id}`} (${a.pool})`;
+
+function buildMessage(kind, alerts, tz) {
+  if (kind === "offline") {
+    const lines = alerts.map((a) => `• ${label(a)} – offline desde ${fmtTime(a.offline_since, tz)}`);
+    return {
+      subject:
+        alerts.length === 1
+          ? `Miner offline: ${label(alerts[0])}`
+          : `${alerts.length} miners offline`,
+      text: ["⛔ Miners offline:", ...lines].join("\n"),
+    };
+  }
+  const lines = alerts.map((a) => `• ${label(a)} – online desde ${fmtTime(a.recovered_at, tz)}`);
+  return {
+    subject:
+      alerts.length === 1
+        ? `Miner recuperado: ${label(alerts[0])}`
+        : `${alerts.length} miners recuperados`,
+    text: ["✅ Miners de volta online:", ...lines].join("\n"),
+  };
+}
+
+/* ===== 2) alertas vencidos → envio ===== */
+async function loadDue(cfg) {
+  return sql/*sql*/`
+    SELECT a.id, a.miner_id, a.user_id, a.state, a.offline_since, a.recovered_at,
+           m.worker_name, m.pool, m.status AS miner_status,
+           p.quiet_start::text AS quiet_start, p.quiet_end::text AS quiet_end,
+           COALESCE(p.timezone, 'Europe/Lisbon') AS timezone,
+           COALESCE(p.notify_recovery, true) AS notify_recovery
+    FROM miner_alerts a
+    JOIN miners m ON m.id = a.miner_id
+    LEFT JOIN notification_prefs p ON p.user_id = a.user_id
+    LEFT JOIN miner_flap_state f ON f.miner_id = a.miner_id
+    WHERE (a.next_attempt_at IS NULL OR a.next_attempt_at <= now())
+      AND ((
+        a.state = 'pending'
+        AND NOT COALESCE(f.flapping, false)
+        AND a.offline_since <= now() - make_interval(
+              mins => COALESCE(p.min_downtime_minutes, ${cfg.minDowntimeMinutes}::int))
+        AND NOT EXISTS (
+          SELECT 1 FROM miner_alerts b
+          WHERE b.miner_id = a.miner_id
+            AND b.id <> a.id
+            AND b.notified_at > now() - make_interval(mins => ${cfg.cooldownMinutes}::int)
+        )
+      )
+      OR (a.state = 'notified' AND a.recovered_at IS NOT NULL))
+    ORDER BY a.user_id, a.id
+  `;
+}
+
+async function closeAlerts(ids, state) {
+  if (!ids.length) return;
+  await sql/*sql*/`
+    UPDATE miner_alerts
+    SET state = ${state},
+        notified_at = CASE WHEN ${state} = 'notified' THEN now() ELSE notified_at END,
+        closed_at = CASE WHEN ${state} = 'notified' THEN NULL ELSE now() END,
+        next_attempt_at = NULL
+    WHERE id = ANY(${ids}::bigint[])
+  `;
+}
+
+/** alertas com canais por enviar: ficam no estado atual até next_attempt_at */
+async function scheduleRetry(retry, cfg) {
+  if (!retry.size) return;
+  const ids = [...retry.keys()];
+  await sql/*sql*/`
+    UPDATE miner_alerts a
+    SET next_attempt_at = now() + make_interval(secs => r.secs)
+    FROM unnest(${ids}::bigint[], ${ids.map((id) => retryDelaySeconds(retry.get(id), cfg))}::int[])
+      AS r(id, secs)
+    WHERE a.id = r.id
+  `;
+}
+
+/**
+ * Envia um digest por canal. notification_log guarda o resultado por
+ * (alerta, canal, tipo): ok = true conta como enviado; ok = false é repetido
+ * até cfg.maxAttempts. Devolve Map(alertId → tentativas) dos alertas que
+ * ainda têm canais por enviar.
+ */
+async function deliver(kind, alerts, channels, tz, stats, cfg) {
+  const retry = new Map();
+  for (const ch of channels) {
+    const logged = await sql/*sql*/`
+      SELECT alert_id, ok, attempts FROM notification_log
+      WHERE channel_id = ${ch.id} AND kind = ${kind}
+        AND alert_id = ANY(${alerts.map((a) => String(a.id))}::bigint[])
+    `;
+    // enviado, ou desistimos (tentativas esgotadas)
+    const done = new Set(
+      logged.filter((r) => r.ok || r.attempts >= cfg.maxAttempts).map((r) => String(r.alert_id))
+    );
+    const todo = alerts.filter((a) => !done.has(String(a.id)));
+    if (!todo.length) continue;
+
+    const r = await sendToChannel(ch, buildMessage(kind, todo, tz));
+    if (r.ok) stats.sent += 1;
+    else stats.failed += 1;
+
+    const rows = await sql/*sql*/`
+      INSERT INTO notification_log AS l (alert_id, channel_id, kind, ok, error)
+      SELECT a, ${ch.id}, ${kind}, ${!!r.ok}, ${r.ok ? null : r.error ?? null}
+      FROM unnest(${todo.map((a) => String(a.id))}::bigint[]) AS a
+      ON CONFLICT (alert_id, channel_id, kind) DO UPDATE SET
+        ok = EXCLUDED.ok,
+        error = EXCLUDED.error,
+        attempts = l.attempts + 1,
+        sent_at = now()
+      WHERE NOT l.ok
+      RETURNING alert_id, attempts
+    `;
+    if (r.ok) continue;
+
+    const attempts = Math.max(0, ...rows.map((x) => x.attempts));
+    const giveUp = attempts >= cfg.maxAttempts;
+    log.warn(giveUp ? "SEND GAVE UP" : "SEND FAILED", {
+      channel: ch.id,
+      kind: ch.kind,
+      alerts: todo.length,
+      attempts,
+      error: r.error,
+    });
+    if (giveUp) continue;
+    for (const x of rows) {
+      const id = String(x.alert_id);
+      retry.set(id, Math.max(retry.get(id) ?? 0, x.attempts));
+    }
+  }
+  return retry;
+}
+
+export async function processDueAlerts(cfg = notifyConfig(), now = new Date()) {
+  const stats = { offline: 0, recovery: 0, quiet: 0, dropped: 0, sent: 0, failed: 0, retry: 0 };
+  const due = await loadDue(cfg);
+  if (!due.length) return stats;
+
+  const byUser = new Map();
+  for (const a of due) {
+    if (!byUser.has(a.user_id)) byUser.set(a.user_id, []);
+    byUser.get(a.user_id).push(a);
+  }
+
+  for (const [userId, alerts] of byUser) {
+    // miner já não está offline (manutenção / alterado à mão) → não avisar
+    const stale = alerts.filter(
+      (a) => a.state === "pending" && String(a.miner_status ?? "").toLowerCase() !== "offline"
+    );
+    await closeAlerts(stale.map((a) => String(a.id)), "suppressed");
+    stats.dropped += stale.length;
+
+    const live = alerts.filter((a) => !stale.includes(a));
+    if (!live.length) continue;
+
+    const prefs = live[0];
+    if (inQuietHours(prefs, now)) {
+      stats.quiet += live.length;
+      continue; // fica para depois das quiet hours
+    }
+
+    const channels = await sql/*sql*/`
+      SELECT id, kind, target FROM notification_channels
+      WHERE user_id = ${userId} AND active
+    `;
+
+    const offline = live.filter((a) => a.state === "pending");
+    const recovery = live.filter((a) => a.state === "notified");
+    const silentRecovery = prefs.notify_recovery ? [] : recovery;
+    const sendRecovery = prefs.notify_recovery ? recovery : [];
+
+    const retry = new Map();
+    if (channels.length) {
+      for (const [kind, list] of [["offline", offline], ["recovery", sendRecovery]]) {
+        if (!list.length) continue;
+        const r = await deliver(kind, list, channels, prefs.timezone, stats, cfg);
+        for (const [id, n] of r) retry.set(id, n);
+      }
+    }
+
+    // com canais por enviar: fica pendente/notificado e volta a ser tentado
+    const finished = (a) => !retry.has(String(a.id));
+    await scheduleRetry(retry, cfg);
+    await closeAlerts(offline.filter(finished).map((a) => String(a.id)), "notified");
+    await closeAlerts(recovery.filter(finished).map((a) => String(a.id)), "resolved");
+    stats.offline += offline.filter(finished).length;
+    stats.recovery += sendRecovery.filter(finished).length;
+    stats.dropped += silentRecovery.length;
+    stats.retry += retry.size;
+  }
+
+  return stats;
+}
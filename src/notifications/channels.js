@@ -0,0 +1,107 @@
+// src/notifications/channels.js
+import nodemailer from "nodemailer";
+import { fetchJSON } from "../pools/utils.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("notify");
+
+/**
+ * Canais de envio. Todos devolvem { ok, error? } e nunca lançam.
+ *
+ * Env:
+ *  - SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_FROM
+ *  - TELEGRAM_BOT_TOKEN / TELEGRAM_API_BASE (default https://api.telegram.org)
+ *
+ * Para testes locais basta apontar SMTP_HOST para um servidor tipo Mailpit
+ * (localhost:1025) e TELEGRAM_API_BASE / URL do Discord para um HTTP local.
+ */
+
+let transport = null;
+
+function smtpTransport() {
+  if (transport) return transport;
+  const host = process.env.SMTP_HOST;
+  if (!host) return null;
+  const port = Number(process.env.SMTP_PORT || 587);
+  transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: (process.env.SMTP_SECURE ?? String(port === 465)).toLowerCase() === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    connectionTimeout: 15_000,
+    socketTimeout: 20_000,
+  });
+  return transport;
+}
+
+async function sendEmail(to, { subject, text }) {
+  const t = smtpTransport();
+  if (!t) return { ok: false, error: "smtp_not_configured" };
+  try {
+    await t.sendMail({
+      from: process.env.SMTP_FROM || "CryptoMiners <no-reply@cryptominers.local>",
+      to,
+      subject,
+      text,
+    });
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: `smtp_${e?.code || e?.responseCode || "error"}` };
+  }
+}
+
+async function sendTelegram(chatId, { text }) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) return { ok: false, error: "telegram_not_configured" };
+  const base = (process.env.TELEGRAM_API_BASE || "https://api.telegram.org").replace(/\/+$/, "");
+
+  const r = await fetchJSON(
+    `${base}/bot${token}/sendMessage`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ chat_id: chatId, text, disable_web_page_preview: true }),
+      timeout: 15_000,
+      log,
+    },
+    1
+  );
+  if (r.res?.ok && r.json?.ok !== false) return { ok: true };
+  return { ok: false, error: r.res ? `telegram_http_${r.res.status}` : "telegram_network" };
+}
+
+async function sendDiscord(webhookUrl, { text }) {
+  const r = await fetchJSON(
+    webhookUrl,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      // limite do Discord: 2000 chars
+      body: JSON.stringify({ content: text.slice(0, 2000) }),
+      timeout: 15_000,
+      log,
+    },
+    1
+  );
+  if (r.res?.ok) return { ok: true };
+  return { ok: false, error: r.res ? `discord_http_${r.res.status}` : "discord_network" };
+}
+
+const SENDERS = {
+  email: sendEmail,
+  telegram: sendTelegram,
+  discord: sendDiscord,
+};
+
+/** channel = linha de notification_channels; message = { subject, text } */
+export async function sendToChannel(channel, message) {
+  const send = SENDERS[channel.kind];
+  if (!send) return { ok: false, error: "unknown_channel" };
+  try {
+    return await send(channel.target, message);
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e).slice(0, 200) };
+  }
+}
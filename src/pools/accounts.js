@@ -0,0 +1,92 @@
+// src/pools/accounts.js
+import { sql } from "../config/db.js";
+import { credentialsFromMiner, credentialsGroupKey, storedSecret } from "./index.js";
+import { fingerprint } from "../lib/vault.js";
+import { tail } from "./utils.js";
+
+/**
+ * Contas de pool (pool_accounts): credenciais + conta + coin, referenciadas
+ * por miners.pool_account_id. Trocar uma chave = 1 UPDATE à conta
+ * (npm run accounts -- set-key) e os jobs fazem 1 chamada por conta.
+ *
+ * Miners ainda sem conta continuam a usar as colunas api_key/secret_key da
+ * própria linha, agrupados como antes (npm run accounts -- import cria as
+ * contas em falta e liga os miners).
+ */
+
+/** credenciais (ainda cifradas) de uma conta */
+export function credentialsFromAccount(a) {
+  const apiKey = storedSecret(a.api_key);
+  return {
+    scope: `pool_accounts:${a.id}`,
+    accountId: a.id,
+    apiKey,
+    secretKey: storedSecret(a.secret_key),
+    account: a.account ?? "",
+    ref: fingerprint(apiKey).slice(0, 8),
+  };
+}
+
+/**
+ * rec = linha de miners com as colunas acc_* do LEFT JOIN a pool_accounts.
+ * Conta desativada → credenciais vazias (o adapter responde missing_config).
+ */
+export function credentialsFor(rec) {
+  if (rec?.acc_id == null) return credentialsFromMiner(rec);
+  const disabled = rec.acc_active === false;
+  return credentialsFromAccount({
+    id: rec.acc_id,
+    account: rec.acc_account,
+    api_key: disabled ? null : rec.acc_api_key,
+    secret_key: disabled ? null : rec.acc_secret_key,
+  });
+}
+
+/**
+ * chave de grupo: conta + coin, ou (miners sem conta) as credenciais da linha.
+ * A coin entra sempre: uma conta com coin vazia usa a de cada miner, e
+ * listWorkers é por coin (misturar coins leria todos com a do 1º miner).
+ */
+export function groupKeyFor(adapter, credentials, coin) {
+  if (credentials.accountId != null) {
+    return `account:${credentials.accountId}|${adapter.normalizeCoin(coin)}`;
+  }
+  return credentialsGroupKey(adapter, credentials, coin);
+}
+
+/** fingerprint das duas chaves (unicidade de pool_accounts) */
+export const accountKeyFp = (apiKey, secretKey) =>
+  `${fingerprint(apiKey)}.${fingerprint(secretKey)}`;
+
+/**
+ * Grupos a consultar numa pool: um por conta ativa e coin, mais os miners
+ * sem conta agrupados pelas credenciais da linha.
+ *   → [{ key, accountId, credentials, coin, list: miners }]
+ * Miners de contas desativadas ficam de fora.
+ */
+export async function loadPoolGroups(adapter) {
+  const rows = await sql/*sql*/`
+    SELECT m.id, m.worker_name, m.api_key, m.secret_key, m.coin, m.status,
+           a.id AS acc_id, a.account AS acc_account, a.api_key AS acc_api_key,
+           a.secret_key AS acc_secret_key, a.coin AS acc_coin, a.active AS acc_active
+    FROM miners m
+    LEFT JOIN pool_accounts a ON a.id = m.pool_account_id
+    WHERE m.pool = ${adapter.name}
+      AND m.worker_name IS NOT NULL AND m.worker_name <> ''
+    ORDER BY a.id NULLS LAST, m.id
+  `;
+
+  const groups = new Map();
+  for (const m of rows) {
+    if (m.acc_id != null && m.acc_active === false) continue;
+    const coin = adapter.normalizeCoin(m.acc_coin || m.coin);
+    if (!coin || !tail(m.worker_name)) continue;
+    const credentials = credentialsFor(m);
+    const key = groupKeyFor(adapter, credentials, coin);
+    if (!groups.has(key)) {
+      groups.set(key, { key, accountId: m.acc_id ?? null, credentials, coin, list: [] });
+    }
+    groups.get(key).list.push(m);
+  }
+  return [...groups.values()];
+}
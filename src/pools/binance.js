@@ -0,0 +1,240 @@
+// src/pools/binance.js
+import crypto from "crypto";
+import {
+  clean,
+  fetchJSON,
+  failFromResponse,
+  historyOk,
+  historySeries,
+  normalizedWorker,
+  poolFail,
+  poolOk,
+  tail,
+} from "./utils.js";
+import { toHs } from "./units.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("pool:binance");
+// hashRate de /mining/worker/list vem em H/s
+const HASHRATE_UNIT = "H/s";
+
+/* ===== Bases possíveis (rota automaticamente) ===== */
+const CANDIDATE_BASES = [
+  process.env.BINANCE_BASE,
+  "https://api.binance.com",
+  "https://api1.binance.com",
+  "https://api2.binance.com",
+  "https://api3.binance.com",
+].filter((b, i, arr) => b && arr.indexOf(b) === i);
+
+// base escolhida fica memorizada para não pingar exchangeInfo a cada chamada
+const BASE_TTL_MS = 5 * 60 * 1000;
+let pickedBase = null;
+let pickedAt = 0;
+
+function mapAlgo(coin) {
+  const c = String(coin ?? "").trim().toUpperCase();
+  if (c === "BTC") return "sha256";
+  if (c === "LTC") return "scrypt";
+  if (c === "KAS" || c === "KASPA") return "kHeavyHash";
+  return "";
+}
+
+function normalizeCoin(c) {
+  const s = String(c ?? "").trim().toUpperCase();
+  return mapAlgo(s) ? s : "";
+}
+
+/* ===== assinatura e fetch ===== */
+function signQuery(secret, params) {
+  const qs = new URLSearchParams(params).toString();
+  const sig = crypto.createHmac("sha256", secret).update(qs).digest("hex");
+  return `${qs}&signature=${sig}`;
+}
+
+async function pickBinanceBase() {
+  if (pickedBase && Date.now() - pickedAt < BASE_TTL_MS) return pickedBase;
+
+  for (const base of CANDIDATE_BASES) {
+    const ping = await fetchJSON(
+      `${base}/api/v3/exchangeInfo`,
+      { timeout: 7_000, log },
+      1
+    );
+    if (ping.res?.ok) {
+      pickedBase = base;
+      pickedAt = Date.now();
+      return base;
+    }
+    if (ping.res?.status === 451) {
+      log.warn("base geoblocked", { base });
+    }
+  }
+  pickedBase = null;
+  return null;
+}
+
+async function getServerTime(base) {
+  const r = await fetchJSON(`${base}/api/v3/time`, { timeout: 20_000, log }, 1);
+  if (!r.res?.ok) return null;
+  const t = Number(r?.json?.serverTime);
+  return Number.isFinite(t) ? t : null;
+}
+
+/** GET assinado; repete 1x com o relógio do servidor se der -1021 (timestamp fora da janela) */
+async function signedGET({ base, path, apiKey, secretKey, params }) {
+  const call = (skewMs) => {
+    const p = { ...params, timestamp: Date.now() + skewMs, recvWindow: 30_000 };
+    const url = `${base}${path}?` + signQuery(secretKey, p);
+    return fetchJSON(
+      url,
+      { headers: { "X-MBX-APIKEY": apiKey }, timeout: 20_000, log },
+      1
+    );
+  };
+
+  let r = await call(0);
+  if (r.res && !r.res.ok && r.json?.code === -1021) {
+    const serverTime = await getServerTime(base);
+    if (serverTime) r = await call(serverTime - Date.now());
+  }
+  return r;
+}
+
+// erros documentados de chave/assinatura (vêm com HTTP 400/401):
+// -2014 formato da API key, -2015 key/IP/permissões inválidos, -1022 assinatura
+const AUTH_ERROR_CODES = new Set([-2014, -2015, -1022]);
+
+/** falha HTTP; códigos de chave contam como "auth" mesmo com HTTP 400 */
+function binanceFail(r) {
+  if (r.res && AUTH_ERROR_CODES.has(r.json?.code)) {
+    return poolFail("auth", r.res.status, { msg: r.json?.msg || null });
+  }
+  return failFromResponse(r);
+}
+
+/** online se hashrate > 0 ou status 1 (1 valid, 2 invalid, 3 no longer valid) */
+function isOnline(w) {
+  const hr = Number(w?.hashRate ?? 0);
+  if (Number.isFinite(hr) && hr > 0) return true;
+  return Number(w?.status) === 1;
+}
+
+/* ===== API Binance ===== */
+async function listWorkers({ apiKey, secretKey, account }, coin) {
+  if (!apiKey || !secretKey) return poolFail("missing_config");
+  if (!account) return poolFail("bad_worker");
+  const algo = mapAlgo(coin);
+  if (!algo) return poolFail("bad_coin");
+
+  const base = await pickBinanceBase();
+  if (!base) return poolFail("unavailable");
+
+  const pageSize = 200;
+  let page = 1;
+  const all = [];
+
+  while (true) {
+    const r = await signedGET({
+      base,
+      path: "/sapi/v1/mining/worker/list",
+      apiKey,
+      secretKey,
+      params: { algo, userName: account, pageIndex: page, sort: 0 },
+    });
+    if (!r.res || !r.res.ok) {
+      // 451 numa base que antes respondia → escolher outra na próxima chamada
+      if (r.res?.status === 451) pickedBase = null;
+      return binanceFail(r);
+    }
+
+    const arr = r.json?.data?.workerDatas;
+    if (!Array.isArray(arr)) {
+      // conta sem workers devolve data=null
+      if (r.json && r.json.data == null && page === 1) break;
+      return poolFail("schema", r.res.status);
+    }
+    all.push(...arr);
+
+    const pageSizeResp = Number(r.json?.data?.pageSize || 0);
+    if (!arr.length || arr.length < (pageSizeResp || pageSize)) break;
+    page += 1;
+  }
+
+  const workers = all.map((w) =>
+    normalizedWorker({
+      name: clean(w?.workerName), // pode vir "account.worker"
+      online: isOnline(w),
+      hashrate: toHs(w?.hashRate, HASHRATE_UNIT),
+      status: w?.status,
+      lastShareMs: w?.lastShareTime,
+    })
+  );
+  return poolOk(workers);
+}
+
+/* ===== histórico por worker (backfill): H_hashrate = pontos horários =====
+ * O endpoint não aceita intervalo (devolve as últimas HISTORY_HOURS): os
+ * pontos são filtrados para os que cobrem [from, to). Um pedido por worker
+ * (não há histórico por conta), feito uma vez para todos os slots pedidos. */
+const HISTORY_HOURS = 24;
+
+async function listWorkerHistory({ apiKey, secretKey, account }, coin, { from, to, workers }) {
+  if (!apiKey || !secretKey) return poolFail("missing_config");
+  if (!account) return poolFail("bad_worker");
+  const algo = mapAlgo(coin);
+  if (!algo) return poolFail("bad_coin");
+
+  const base = await pickBinanceBase();
+  if (!base) return poolFail("unavailable");
+
+  const fromMs = from ? new Date(from).getTime() : -Infinity;
+  const toMs = to ? new Date(to).getTime() : Infinity;
+
+  const series = [];
+  const seen = new Set();
+  for (const workerName of workers) {
+    // a API espera "account.worker"
+    const full = String(workerName).includes(".")
+      ? String(workerName)
+      : `${account}.${tail(workerName)}`;
+    if (seen.has(full)) continue; // miners com o mesmo worker: matchWorker usa a mesma série
+    seen.add(full);
+    const r = await signedGET({
+      base,
+      path: "/sapi/v1/mining/worker/detail",
+      apiKey,
+      secretKey,
+      params: { algo, userName: account, workerName: full },
+    });
+    if (!r.res || !r.res.ok) {
+      if (r.res?.status === 451) pickedBase = null;
+      return binanceFail(r);
+    }
+
+    const arr = r.json?.data;
+    if (!Array.isArray(arr)) return poolFail("schema", r.res.status);
+    const hourly = arr.find((d) => d?.type === "H_hashrate");
+    const s = historySeries(
+      workerName,
+      (hourly?.hashrateDatas || []).map((p) => ({
+        t: p?.time,
+        hashrate: toHs(p?.hashrate, HASHRATE_UNIT),
+      })),
+      3600 * 1000
+    );
+    s.points = s.points.filter((p) => p.t < toMs && p.t + p.spanMs > fromMs);
+    series.push(s);
+  }
+  return historyOk(series);
+}
+
+export default {
+  id: "binance",
+  name: "Binance",
+  errorPrefix: "binance",
+  normalizeCoin,
+  listWorkers,
+  listWorkerHistory,
+  historyHours: HISTORY_HOURS,
+};
@@ -0,0 +1,204 @@
+// src/pools/f2pool.js
+import {
+  clean,
+  fetchJSON,
+  failFromResponse,
+  historyOk,
+  historySeries,
+  normalizedWorker,
+  poolFail,
+  poolOk,
+  tail,
+} from "./utils.js";
+import { toHs } from "./units.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("pool:f2pool");
+// v2 hash_rate vem em H/s
+const HASHRATE_UNIT = "H/s";
+
+/* ===== limpar proxies (a F2Pool rejeita pedidos via proxy da VPS) ===== */
+for (const k of [
+  "HTTP_PROXY",
+  "http_proxy",
+  "HTTPS_PROXY",
+  "https_proxy",
+  "NO_PROXY",
+  "no_proxy",
+]) {
+  if (process.env[k]) {
+    log.warn("proxy env ignorado", { env: k });
+    delete process.env[k];
+  }
+}
+
+function f2slug(coin) {
+  const c = String(coin ?? "").trim().toUpperCase();
+  if (c === "BTC" || c === "BITCOIN") return "bitcoin";
+  if (c === "BCH") return "bitcoin-cash";
+  if (c === "BSV") return "bitcoin-sv";
+  if (c === "LTC" || c === "LITECOIN") return "litecoin";
+  if (c === "KAS" || c === "KASPA") return "kaspa";
+  if (c === "CFX") return "conflux";
+  if (c === "ETC") return "ethereum-classic";
+  if (c === "DASH") return "dash";
+  if (c === "SC" || c === "SIA") return "sia";
+  return c.toLowerCase();
+}
+
+function normalizeCoin(c) {
+  return String(c ?? "").trim().toUpperCase() || "BTC";
+}
+
+function lastShareMsOf(it) {
+  const last = Number(
+    it?.last_share_at ?? it?.last_share ?? it?.last_share_time ?? 0
+  );
+  if (!Number.isFinite(last)) return 0;
+  return last > 1e11 ? last : last * 1000;
+}
+
+/** online se hashrate > 0 ou status 0 (0=online, 1=offline) */
+function isOnline({ hr, statusCode }) {
+  return hr > 0 || statusCode === 0;
+}
+
+/* ===== F2Pool v2 (token em miners.api_key) ===== */
+async function listWorkers({ apiKey, account }, coin) {
+  if (!apiKey) return poolFail("missing_config");
+  if (!account) return poolFail("bad_worker");
+
+  const url = "https://api.f2pool.com/v2/hash_rate/worker/list";
+  const headers = {
+    "Content-Type": "application/json",
+    Accept: "application/json",
+    "F2P-API-SECRET": apiKey,
+  };
+  const body = JSON.stringify({
+    currency: f2slug(normalizeCoin(coin)),
+    mining_user_name: account,
+    page: 1,
+    size: 200,
+  });
+
+  const r = await fetchJSON(
+    url,
+    { method: "POST", headers, body, timeout: 15_000, log },
+    1
+  );
+  if (!r.res || !r.res.ok) return failFromResponse(r);
+
+  const data = r.json;
+  // 200 com erro lógico → falha (não marcar offline)
+  if (data && typeof data.code === "number" && data.code !== 0) {
+    return poolFail(`code_${data.code}`, r.res.status, {
+      msg: data.msg || "logical error",
+    });
+  }
+
+  const arr = Array.isArray(data?.workers)
+    ? data.workers
+    : Array.isArray(data?.data?.workers)
+    ? data.data.workers
+    : Array.isArray(data?.data?.list)
+    ? data.data.list
+    : Array.isArray(data?.list)
+    ? data.list
+    : null;
+  if (!arr) return poolFail("schema", r.res.status);
+
+  const workers = [];
+  for (const it of arr) {
+    const hri =
+      it?.hash_rate_info || it?.hashrate_info || it?.hashRateInfo || {};
+    const name = clean(hri?.name ?? it?.name ?? it?.worker ?? "");
+    if (!name) continue;
+    const hr = Number(hri?.hash_rate ?? it?.hash_rate ?? it?.hashrate ?? 0);
+    const statusCode = Number.isFinite(Number(it?.status))
+      ? Number(it.status)
+      : NaN;
+    workers.push(
+      normalizedWorker({
+        name,
+        online: isOnline({ hr, statusCode }),
+        hashrate: toHs(hr, HASHRATE_UNIT),
+        status: Number.isNaN(statusCode) ? null : statusCode,
+        lastShareMs: lastShareMsOf(it),
+      })
+    );
+  }
+
+  // lista vazia na F2Pool = resposta inconclusiva, nunca "todos offline"
+  if (!workers.length) return poolFail("empty", r.res.status);
+
+  return poolOk(workers, r.res.status);
+}
+
+/* ===== histórico por worker (backfill de slots perdidos) ===== */
+const HISTORY_INTERVAL_SEC = 600;
+const HISTORY_MAX_DURATION_SEC = 3 * 24 * 3600;
+
+async function listWorkerHistory({ apiKey, account }, coin, { from, workers }) {
+  if (!apiKey) return poolFail("missing_config");
+  if (!account) return poolFail("bad_worker");
+
+  const duration = Math.min(
+    HISTORY_MAX_DURATION_SEC,
+    Math.ceil((Date.now() - new Date(from).getTime()) / 1000) + HISTORY_INTERVAL_SEC
+  );
+  const series = [];
+  let status = 200;
+
+  for (const workerName of workers) {
+    const r = await fetchJSON(
+      "https://api.f2pool.com/v2/hash_rate/worker/history",
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+          "F2P-API-SECRET": apiKey,
+        },
+        body: JSON.stringify({
+          currency: f2slug(normalizeCoin(coin)),
+          mining_user_name: account,
+          worker_name: tail(workerName),
+          interval: HISTORY_INTERVAL_SEC,
+          duration,
+        }),
+        timeout: 15_000,
+        log,
+      },
+      1
+    );
+    if (!r.res || !r.res.ok) return failFromResponse(r);
+    status = r.res.status;
+
+    const data = r.json;
+    if (data && typeof data.code === "number" && data.code !== 0) {
+      return poolFail(`code_${data.code}`, status, { msg: data.msg || "logical error" });
+    }
+    const arr = data?.hash_rate_history ?? data?.data?.hash_rate_history;
+    if (!Array.isArray(arr)) return poolFail("schema", status);
+
+    series.push(
+      historySeries(
+        workerName,
+        arr.map((p) => ({ t: p?.timestamp, hashrate: toHs(p?.hash_rate, HASHRATE_UNIT) })),
+        HISTORY_INTERVAL_SEC * 1000
+      )
+    );
+  }
+
+  return historyOk(series, status);
+}
+
+export default {
+  id: "f2pool",
+  name: "F2Pool",
+  errorPrefix: "f2",
+  normalizeCoin,
+  listWorkers,
+  listWorkerHistory,
+  historyHours: HISTORY_MAX_DURATION_SEC / 3600,
+};
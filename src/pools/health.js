@@ -0,0 +1,255 @@
+// src/pools/health.js
+import { sql } from "../config/db.js";
+import { emitSafe } from "../events/bus.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("credentials:health");
+
+/**
+ * Saúde das credenciais por conta (pool_accounts).
+ *
+ * Cada leitura dos jobs de uptime regista o resultado em
+ * pool_account_health (última verificação, último OK, falhas de
+ * autenticação seguidas). Ao fim de CREDENTIAL_AUTH_FAILURES falhas de auth
+ * seguidas (default 3) é criado um evento "credentials_invalid" em
+ * pool_account_events, entregue pelos webhooks (tipo
+ * "account.credentials_invalid", ver src/webhooks/deliver.js) e no bus
+ * "account.credentials"; a primeira leitura OK depois disso cria
+ * "credentials_recovered". Timeouts/5xx/schema não contam
+ * nem limpam a contagem (não dizem nada sobre a chave).
+ *
+ * Falha de auth = reason "auth" (HTTP 401/403, ou códigos de chave que o
+ * adapter já traduz – ex.: Binance -2014/-2015/-1022) ou um erro lógico da
+ * pool (code_<n>) com um código conhecido por env:
+ *   CREDENTIAL_AUTH_CODES="viabtc:code_10004,f2pool:code_401"
+ * Só sem código conhecido se olha para a mensagem, e apenas para frases
+ * inequívocas ("invalid api key", "signature invalid"…); rate limit e
+ * manutenção nunca contam.
+ *
+ * Miners ainda sem conta não têm registo (só o log GROUP SKIPPED).
+ */
+const num = (v, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : def;
+};
+
+export const healthConfig = {
+  authFailures: num(process.env.CREDENTIAL_AUTH_FAILURES, 3),
+  authCodes: new Set(
+    String(process.env.CREDENTIAL_AUTH_CODES ?? "")
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+};
+
+// fallback: frases que só aparecem quando a chave é recusada
+const AUTH_MSG_RE =
+  /\b(invalid|wrong|incorrect|expired|revoked|disabled)\s+(api[ _-]?)?(key|secret|signature|token)\b|\b(api[ _-]?key|secret[ _-]?key|signature)\s+(is\s+)?(invalid|incorrect|expired|revoked|disabled|not\s+(found|exist))|\bunauthori[sz]ed\b|\bpermission\s+denied\b/i;
+// …mas nunca respostas de rate limit / manutenção, mesmo que falem da chave
+const NOT_AUTH_MSG_RE = /rate[ _-]?limit|too\s+many|frequen|maintenance|busy|try\s+again|temporar/i;
+
+/** resultado de listWorkers → "ok" | "auth" | "error" */
+export function checkResult(pool, r) {
+  if (r.ok) return "ok";
+  if (r.reason === "auth") return "auth";
+  if (/^code_/.test(r.reason ?? "")) {
+    if (healthConfig.authCodes.has(`${pool}:${r.reason}`)) return "auth";
+    if (r.status === 401 || r.status === 403) return "auth";
+    const msg = String(r.msg ?? "");
+    if (AUTH_MSG_RE.test(msg) && !NOT_AUTH_MSG_RE.test(msg)) return "auth";
+  }
+  return "error";
+}
+
+export function toAccountEvent(row) {
+  return {
+    id: String(row.id),
+    accountId: String(row.account_id),
+    pool: row.pool,
+    kind: row.kind,
+    authFailures: row.auth_failures,
+    reason: row.reason ?? null,
+    httpStatus: row.http_status ?? null,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+/**
+ * Abre (credentials_invalid: alerted_at NULL → now()) ou fecha
+ * (credentials_recovered: alerted_at → NULL) o episódio da conta, regista o
+ * evento e agenda a entrega para todos os webhooks ativos, na mesma
+ * statement (como recordStatusEvents). Devolve null se outra instância já
+ * tiver mudado o estado.
+ */
+async function recordAccountEvent(kind, pool, accountId) {
+  const invalid = kind === "credentials_invalid";
+  const [row] = await sql/*sql*/`
+    WITH claimed AS (
+      UPDATE pool_account_health
+      SET alerted_at = CASE WHEN ${invalid}::boolean THEN now() END
+      WHERE account_id = ${accountId}
+        AND (alerted_at IS NULL) = ${invalid}::boolean
+      RETURNING account_id, auth_failures, reason, http_status, message
+    ),
+    ev AS (
+      INSERT INTO pool_account_events
+        (account_id, pool, kind, auth_failures, reason, http_status, message)
+      SELECT account_id, ${pool}, ${kind}, auth_failures, reason, http_status, message
+      FROM claimed
+      RETURNING id, account_id, pool, kind, auth_failures, reason, http_status, created_at
+    ),
+    dl AS (
+      INSERT INTO webhook_deliveries (account_event_id, endpoint_id)
+      SELECT ev.id, w.id
+      FROM ev CROSS JOIN webhook_endpoints w
+      WHERE w.active
+    )
+    SELECT * FROM ev
+  `;
+  if (!row) return null;
+
+  const event = toAccountEvent(row);
+  emitSafe("account.credentials", event);
+  return event;
+}
+
+/**
+ * Regista uma leitura (r = resultado de adapter.listWorkers) da conta.
+ * Nunca lança: falhar a escrita da saúde não pode estragar o job.
+ */
+export async function recordCredentialCheck(pool, credentials, r) {
+  const accountId = credentials?.accountId;
+  if (accountId == null) return null;
+
+  const result = checkResult(pool, r);
+  const reason = r.ok ? null : r.reason;
+  const status = r.status || null;
+  const message = r.ok || r.msg == null ? null : String(r.msg).slice(0, 300);
+
+  try {
+    const [h] = await sql/*sql*/`
+      INSERT INTO pool_account_health AS h
+        (account_id, result, reason, http_status, message, checked_at,
+         last_ok_at, last_auth_failure_at, auth_failures)
+      VALUES (
+        ${accountId}, ${result}, ${reason}, ${status}, ${message}, now(),
+        CASE WHEN ${result} = 'ok' THEN now() END,
+        CASE WHEN ${result} = 'auth' THEN now() END,
+        CASE WHEN ${result} = 'auth' THEN 1 ELSE 0 END
+      )
+      ON CONFLICT (account_id) DO UPDATE SET
+        result = EXCLUDED.result,
+        reason = EXCLUDED.reason,
+        http_status = EXCLUDED.http_status,
+        message = EXCLUDED.message,
+        checked_at = now(),
+        last_ok_at = COALESCE(EXCLUDED.last_ok_at, h.last_ok_at),
+        last_auth_failure_at = COALESCE(EXCLUDED.last_auth_failure_at, h.last_auth_failure_at),
+        auth_failures = CASE EXCLUDED.result
+          WHEN 'auth' THEN h.auth_failures + 1
+          WHEN 'ok' THEN 0
+          ELSE h.auth_failures
+        END
+      RETURNING auth_failures, alerted_at, reason, http_status, message
+    `;
+
+    // alerta uma vez por episódio (alerted_at guardado até voltar a OK)
+    if (result === "auth" && h.auth_failures >= healthConfig.authFailures && !h.alerted_at) {
+      if (await recordAccountEvent("credentials_invalid", pool, accountId)) {
+        log.error("credenciais inválidas", {
+          pool,
+          accountId,
+          key: credentials.ref,
+          failures: h.auth_failures,
+          reason,
+          httpStatus: status,
+        });
+      }
+    } else if (result === "ok" && h.alerted_at) {
+      if (await recordAccountEvent("credentials_recovered", pool, accountId)) {
+        log.info("credenciais recuperadas", { pool, accountId, key: credentials.ref });
+      }
+    }
+    return { result, authFailures: h.auth_failures };
+  } catch (e) {
+    log.warn("record failed", {
+      pool,
+      accountId,
+      code: e?.code,
+      error: e?.message || String(e),
+    });
+    return null;
+  }
+}
+
+/** estado resumido: ok | invalid (alerta aberto) | failing | error | unchecked */
+function healthState(h) {
+  if (!h) return "unchecked";
+  if (h.alerted_at) return "invalid";
+  if (h.result === "auth") return "failing";
+  return h.result;
+}
+
+const iso = (v) => (v ? new Date(v).toISOString() : null);
+
+/** GET /accounts/:id/health */
+export async function getAccountHealth(req, res) {
+  const id = String(req.params.id ?? "").trim();
+  if (!/^\d+$/.test(id)) return res.status(400).json({ error: "bad_id" });
+
+  try {
+    const [a] = await sql/*sql*/`
+      SELECT a.id, a.pool, a.account, a.coin, a.active,
+             (SELECT count(*)::int FROM miners m WHERE m.pool_account_id = a.id) AS miners,
+             h.result, h.reason, h.http_status, h.message, h.checked_at,
+             h.last_ok_at, h.last_auth_failure_at, h.auth_failures, h.alerted_at,
+             h.account_id IS NOT NULL AS checked
+      FROM pool_accounts a
+      LEFT JOIN pool_account_health h ON h.account_id = a.id
+      WHERE a.id = ${id}::int
+    `;
+    if (!a) return res.status(404).json({ error: "not_found" });
+
+    const events = await sql/*sql*/`
+      SELECT id, kind, auth_failures, reason, http_status, created_at
+      FROM pool_account_events
+      WHERE account_id = ${a.id}
+      ORDER BY id DESC
+      LIMIT 10
+    `;
+
+    res.json({
+      id: String(a.id),
+      pool: a.pool,
+      account: a.account,
+      coin: a.coin,
+      active: a.active,
+      miners: a.miners,
+      health: {
+        state: healthState(a.checked ? a : null),
+        result: a.result ?? null,
+        reason: a.reason ?? null,
+        http_status: a.http_status ?? null,
+        message: a.message ?? null,
+        checked_at: iso(a.checked_at),
+        last_ok_at: iso(a.last_ok_at),
+        last_auth_failure_at: iso(a.last_auth_failure_at),
+        consecutive_auth_failures: a.auth_failures ?? 0,
+        alert_threshold: healthConfig.authFailures,
+        alerted_at: iso(a.alerted_at),
+      },
+      events: events.map((e) => ({
+        id: String(e.id),
+        kind: e.kind,
+        auth_failures: e.auth_failures,
+        reason: e.reason,
+        http_status: e.http_status,
+        created_at: iso(e.created_at),
+      })),
+    });
+  } catch (e) {
+    log.error("health query failed", { id, code: e?.code, message: e?.message });
+    res.status(500).json({ error: "db_error" });
+  }
+}
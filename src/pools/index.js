@@ -0,0 +1,141 @@
+// src/pools/index.js
+import viabtc from "./viabtc.js";
+import litecoinpool from "./litecoinpool.js";
+import binance from "./binance.js";
+import f2pool from "./f2pool.js";
+import miningdutch from "./miningdutch.js";
+import { clean, poolFail, splitAccountWorker } from "./utils.js";
+import { fingerprint, isSealed, open } from "../lib/vault.js";
+import { counter, histogram } from "../lib/metrics.js";
+import { createLogger } from "../lib/logger.js";
+
+/**
+ * Registo único de pools. Cada adapter expõe:
+ *  - id / name          → slug interno / valor de miners.pool
+ *  - errorPrefix        → prefixo dos códigos de erro do /status
+ *  - normalizeCoin(c)   → coin canónica ("" = não suportada)
+ *  - listWorkers(credentials, coin)
+ *      → { ok, status, reason, workers: [{ name, online, hashrate, status, lastShareMs }] }
+ *        (hashrate sempre em H/s – ver src/pools/units.js)
+ *  - listWorkerHistory(credentials, coin, { from, to, workers })   [opcional]
+ *      → { ok, status, reason, series: [{ name, points: [{ t, spanMs, hashrate }] }] }
+ *        usado pelo backfill de slots perdidos (src/uptime/backfill.js)
+ *  - historyHours       → horas de histórico que a pool guarda (limita o backfill)
+ *
+ * Usado pelos jobs de uptime e pelos endpoints /status, para que a mesma
+ * regra de parsing/online sirva a faturação e o dashboard.
+ *
+ * As credenciais circulam cifradas (src/lib/vault.js) e só são decifradas
+ * aqui, imediatamente antes da chamada ao adapter.
+ */
+const log = createLogger("pools");
+
+const apiRequests = counter(
+  "pool_api_requests_total",
+  "Chamadas aos adapters de pool por resultado",
+  ["pool", "op", "result"]
+);
+const apiDuration = histogram(
+  "pool_api_request_duration_seconds",
+  "Latência das chamadas aos adapters de pool",
+  ["pool", "op"]
+);
+
+// falhas de configuração não chegam à pool (sem latência a medir)
+const CONFIG_REASONS = new Set(["missing_config", "bad_worker", "bad_coin"]);
+
+/** classe de resultado: ok | timeout | geoblocked (451) | auth | schema | logical | config | http */
+export function resultClass(r) {
+  if (r.ok) return "ok";
+  if (CONFIG_REASONS.has(r.reason)) return "config";
+  if (/^code_/.test(r.reason ?? "")) return "logical";
+  if (["timeout", "geoblocked", "auth", "schema"].includes(r.reason)) return r.reason;
+  return "http";
+}
+
+/** credenciais em claro para o adapter (valores não cifrados passam como estão) */
+function openCredentials(c) {
+  return {
+    ...c,
+    apiKey: clean(open(c.apiKey, `${c.scope}:api_key`)),
+    secretKey: clean(open(c.secretKey, `${c.scope}:secret_key`)),
+  };
+}
+
+function withSealedCredentials(adapter) {
+  const call = (fn, op) => async (credentials, ...args) => {
+    let plain;
+    try {
+      plain = openCredentials(credentials);
+    } catch (e) {
+      log.error("credenciais não decifráveis", {
+        pool: adapter.id,
+        scope: credentials.scope,
+        key: credentials.ref,
+        error: e?.message || String(e),
+      });
+      apiRequests.inc({ pool: adapter.id, op, result: "config" });
+      return poolFail("missing_config");
+    }
+    const t0 = process.hrtime.bigint();
+    const r = await fn(plain, ...args);
+    const result = resultClass(r);
+    apiRequests.inc({ pool: adapter.id, op, result });
+    if (result !== "config") {
+      apiDuration.observe({ pool: adapter.id, op }, Number(process.hrtime.bigint() - t0) / 1e9);
+    }
+    return r;
+  };
+  return {
+    ...adapter,
+    listWorkers: call(adapter.listWorkers, "workers"),
+    listWorkerHistory:
+      adapter.listWorkerHistory && call(adapter.listWorkerHistory, "history"),
+  };
+}
+
+const ADAPTERS = [viabtc, litecoinpool, binance, f2pool, miningdutch].map(
+  withSealedCredentials
+);
+
+const byId = new Map(ADAPTERS.map((a) => [a.id, a]));
+
+export function getPoolAdapter(pool) {
+  const k = String(pool ?? "").trim().toLowerCase();
+  return byId.get(k) || null;
+}
+
+export function listPoolAdapters() {
+  return [...ADAPTERS];
+}
+
+/** valor de credencial como guardado (cifrado) ou limpo se estiver em claro */
+export const storedSecret = (v) => (isSealed(v) ? v : clean(v));
+
+/**
+ * credenciais de pool a partir de uma linha de miners (ainda cifradas;
+ * ref = impressão digital curta da api key, para logs)
+ */
+export function credentialsFromMiner(rec) {
+  const apiKey = storedSecret(rec?.api_key);
+  return {
+    scope: `miners:${rec?.id}`,
+    apiKey,
+    secretKey: storedSecret(rec?.secret_key),
+    account: splitAccountWorker(rec?.worker_name).account,
+    ref: fingerprint(apiKey).slice(0, 8),
+  };
+}
+
+/** chave de agrupamento: miners com a mesma chave partilham um listWorkers */
+export function credentialsGroupKey(adapter, credentials, coin) {
+  return [
+    adapter.id,
+    fingerprint(credentials.apiKey),
+    fingerprint(credentials.secretKey),
+    credentials.account,
+    adapter.normalizeCoin(coin),
+  ].join("|");
+}
+
+export { matchWorker } from "./utils.js";
@@ -0,0 +1,48 @@
+// src/pools/litecoinpool.js
+import {
+  fetchJSON,
+  failFromResponse,
+  normalizedWorker,
+  poolFail,
+  poolOk,
+} from "./utils.js";
+import { toHs } from "./units.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("pool:ltcpool");
+// hash_rate vem em kH/s
+const HASHRATE_UNIT = "kH/s";
+
+// LiteCoinPool: conta por api_key, sem coin (só LTC/DOGE merged)
+async function listWorkers({ apiKey }) {
+  if (!apiKey) return poolFail("missing_config");
+
+  const url = `https://www.litecoinpool.org/api?api_key=${encodeURIComponent(
+    apiKey
+  )}`;
+  const r = await fetchJSON(url, { timeout: 15_000, log }, 1);
+  if (!r.res || !r.res.ok) return failFromResponse(r);
+
+  const data = r.json;
+  if (!data || !data.workers || typeof data.workers !== "object") {
+    return poolFail("schema", r.res.status);
+  }
+
+  const workers = Object.entries(data.workers).map(([name, info]) =>
+    normalizedWorker({
+      name,
+      online: info?.connected === true,
+      hashrate: toHs(info?.hash_rate, HASHRATE_UNIT),
+      status: info?.connected ? "active" : "unactive",
+    })
+  );
+  return poolOk(workers, r.res.status);
+}
+
+export default {
+  id: "litecoinpool",
+  name: "LiteCoinPool",
+  errorPrefix: "ltcp",
+  normalizeCoin: () => "LTC",
+  listWorkers,
+};
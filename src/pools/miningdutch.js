@@ -0,0 +1,148 @@
+// src/pools/miningdutch.js
+import {
+  clean,
+  fetchJSON,
+  isPositiveStatus,
+  normalizedWorker,
+  poolFail,
+  poolOk,
+} from "./utils.js";
+import { toHs } from "./units.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("pool:miningdutch");
+
+// unidade do campo hashrate por endpoint (MPOS: kH/s; o pool sha256 reporta GH/s)
+const HASHRATE_UNIT_BY_ENDPOINT = {
+  sha256: "GH/s",
+  bitcoin: "GH/s",
+  scrypt: "kH/s",
+  litecoin: "kH/s",
+  dogecoin: "kH/s",
+};
+
+function algoFromCoin(coin) {
+  const c = String(coin || "").trim().toUpperCase();
+  if (c === "BTC") return "sha256";
+  if (c === "LTC" || c === "DOGE") return "scrypt";
+  return "";
+}
+
+function mapCoinSlug(coin) {
+  const c = String(coin || "").trim().toUpperCase();
+  if (c === "BTC") return "bitcoin";
+  if (c === "LTC") return "litecoin";
+  if (c === "DOGE") return "dogecoin";
+  return "";
+}
+
+function normalizeCoin(c) {
+  return String(c ?? "").trim().toUpperCase();
+}
+
+function buildCandidateUrls({ coin, account_id, api_key }) {
+  const base = "https://www.mining-dutch.nl";
+  const algo = algoFromCoin(coin);
+  const coinSlug = mapCoinSlug(coin);
+  const mk = (name) =>
+    `${base}/pools/${name}.php?page=api&action=getuserworkers&id=${encodeURIComponent(
+      account_id
+    )}&api_key=${encodeURIComponent(api_key)}`;
+
+  const names = [];
+  if (algo) names.push(algo); // sha256.php / scrypt.php
+  if (coinSlug) names.push(coinSlug); // bitcoin.php / litecoin.php / dogecoin.php
+  if (algo === "sha256") names.push("scrypt");
+  if (algo === "scrypt") names.push("sha256");
+  if (!algo && !coinSlug) names.push("sha256", "scrypt");
+  return names.map((name) => ({ name, url: mk(name) }));
+}
+
+/* ===== parser robusto (getuserworkers em objeto ou array) ===== */
+function parseWorkersPayload(data) {
+  if (!data || typeof data !== "object") return null;
+
+  const toRows = (miners) => {
+    if (Array.isArray(miners)) {
+      return miners.map((v, i) => [String(i), v]);
+    }
+    if (miners && typeof miners === "object") {
+      return Object.entries(miners);
+    }
+    return null;
+  };
+
+  let rows = null;
+  if (data.getuserworkers && data.getuserworkers.data) {
+    rows = toRows(
+      data.getuserworkers.data.miners || data.getuserworkers.data.workers || []
+    );
+  } else {
+    rows = toRows(data?.data?.workers ?? data?.workers ?? data?.data ?? null);
+  }
+  if (!rows) return null;
+
+  return rows.map(([k, v]) => ({
+    name: clean(v?.username ?? v?.worker ?? v?.name ?? k),
+    hashrate: Number(v?.hashrate ?? v?.hash ?? 0),
+    alive: Number(v?.alive ?? v?.online ?? 0),
+    status: clean(v?.status ?? ""),
+  }));
+}
+
+/** Mining-Dutch: alive=1/0, hashrate number, status string */
+function isOnline(w) {
+  if (Number.isFinite(w.alive) && w.alive > 0) return true;
+  if (Number.isFinite(w.hashrate) && w.hashrate > 0) return true;
+  return isPositiveStatus(w.status);
+}
+
+async function listWorkers({ apiKey, account }, coin) {
+  if (!apiKey) return poolFail("missing_config");
+  if (!account) return poolFail("bad_worker");
+
+  const urls = buildCandidateUrls({ coin, account_id: account, api_key: apiKey });
+  let last = poolFail("http");
+
+  for (const { name, url } of urls) {
+    const r = await fetchJSON(url, { timeout: 22_000, log }, 0);
+    if (!r.res || !r.res.ok) {
+      last = r.res
+        ? poolFail(r.res.status === 401 || r.res.status === 403 ? "auth" : "http", r.res.status)
+        : poolFail(r.timeout ? "timeout" : "http");
+      continue;
+    }
+
+    const list = parseWorkersPayload(r.json);
+    if (!list) {
+      log.warn("SCHEMA_UNEXPECTED", {
+        account_id: account,
+        sample: String(r.raw ?? "").slice(0, 300),
+      });
+      last = poolFail("schema", r.res.status);
+      continue;
+    }
+
+    log.debug("FETCH_OK", { account_id: account, count: list.length });
+
+    const workers = list.map((w) =>
+      normalizedWorker({
+        name: w.name,
+        online: isOnline(w),
+        hashrate: toHs(w.hashrate, HASHRATE_UNIT_BY_ENDPOINT[name] || "kH/s"),
+        status: w.status || (w.alive > 0 ? "alive" : ""),
+      })
+    );
+    return poolOk(workers, r.res.status);
+  }
+
+  return last;
+}
+
+export default {
+  id: "miningdutch",
+  name: "MiningDutch",
+  errorPrefix: "md",
+  normalizeCoin,
+  listWorkers,
+};
@@ -0,0 +1,75 @@
+// src/pools/units.js
+
+/**
+ * Unidades de hashrate. Internamente (adapters, histórico, rollups) tudo
+ * em H/s; as unidades "humanas" só existem na resposta da API.
+ */
+export const HASH_UNITS = {
+  "H/s": 1,
+  "kH/s": 1e3,
+  "MH/s": 1e6,
+  "GH/s": 1e9,
+  "TH/s": 1e12,
+  "PH/s": 1e15,
+};
+
+/** converte um valor numa unidade da pool para H/s */
+export function toHs(value, unit = "H/s") {
+  const v = Number(value ?? 0);
+  const f = HASH_UNITS[unit];
+  if (!Number.isFinite(v) || !f) return 0;
+  return v * f;
+}
+
+export function algoForCoin(coin) {
+  const c = String(coin ?? "").trim().toUpperCase();
+  if (c === "BTC" || c === "BCH" || c === "BSV" || c === "BITCOIN") {
+    return "sha256";
+  }
+  if (c === "LTC" || c === "DOGE" || c === "LITECOIN") return "scrypt";
+  if (c === "KAS" || c === "KASPA") return "kheavyhash";
+  if (c === "DASH") return "x11";
+  if (c === "ETC") return "etchash";
+  if (c === "CFX") return "octopus";
+  if (c === "SC" || c === "SIA") return "blake2b";
+  return "";
+}
+
+// unidade fixa por algoritmo: gráficos de máquinas do mesmo algo comparáveis
+const DISPLAY_UNIT_BY_ALGO = {
+  sha256: "TH/s", // S19/S21: 100–300 TH/s
+  scrypt: "GH/s", // L7/L9: 9–17 GH/s
+  kheavyhash: "TH/s", // KS3/KS5: 8–21 TH/s
+  x11: "GH/s",
+  etchash: "MH/s",
+  octopus: "MH/s",
+  blake2b: "TH/s",
+};
+
+/** maior unidade em que o valor fica ≥ 1 (algos sem unidade fixa) */
+function autoUnit(hs) {
+  const units = Object.keys(HASH_UNITS);
+  let pick = units[0];
+  for (const u of units) {
+    if (Math.abs(hs) >= HASH_UNITS[u]) pick = u;
+  }
+  return pick;
+}
+
+export function displayUnitFor(algo, hs = 0) {
+  return DISPLAY_UNIT_BY_ALGO[algo] || autoUnit(hs);
+}
+
+/** converte H/s → valor na unidade (3 casas decimais) */
+export function fromHs(hs, unit) {
+  const v = Number(hs ?? 0) / (HASH_UNITS[unit] || 1);
+  return Number.isFinite(v) ? Math.round(v * 1000) / 1000 : 0;
+}
+
+/** { value, unit, hs } para a resposta da API */
+export function formatHashrate(hs, algo) {
+  const n = Number(hs ?? 0);
+  const safe = Number.isFinite(n) ? n : 0;
+  const unit = displayUnitFor(algo, safe);
+  return { value: fromHs(safe, unit), unit, hs: safe };
+}
@@ -0,0 +1,263 @@
+// src/pools/utils.js
+import fetch from "node-fetch";
+import dns from "dns";
+import { createLogger } from "../lib/logger.js";
+
+/* ========= DNS / IPv4-first (melhor para muitas VPS) ========= */
+if (typeof dns.setDefaultResultOrder === "function") {
+  dns.setDefaultResultOrder("ipv4first");
+}
+
+/* ========= strings / nomes de workers ========= */
+export function clean(s) {
+  return String(s ?? "")
+    .normalize("NFKC")
+    .replace(/[\u200B-\u200D\uFEFF]/g, "")
+    .trim();
+}
+
+/** sufixo depois do último "." (mantém zeros à esquerda) */
+export function tail(s) {
+  const str = clean(s);
+  const i = str.lastIndexOf(".");
+  return i >= 0 ? str.slice(i + 1) : str;
+}
+
+/** chave normalizada do sufixo: lowercase + sem zeros à esquerda (001 ≡ 1; preserva "0") */
+export function workerKey(s) {
+  const t = tail(s).toLowerCase();
+  if (!t) return "";
+  const k = t.replace(/^0+/, "");
+  return k === "" ? "0" : k;
+}
+
+/** extrai account & sufixo de "account.worker" */
+export function splitAccountWorker(name) {
+  const wn = clean(name);
+  const i = wn.indexOf(".");
+  if (i <= 0) return { account: "", worker: "" };
+  return { account: wn.slice(0, i), worker: wn.slice(i + 1) };
+}
+
+/** estado textual → online/offline (sem falsos positivos: "unactive" NÃO é "active") */
+const NEG_STATES = new Set([
+  "unactive",
+  "inactive",
+  "offline",
+  "down",
+  "dead",
+  "parado",
+  "desligado",
+  "inativa",
+]);
+const POS_STATES = new Set([
+  "active",
+  "online",
+  "alive",
+  "running",
+  "up",
+  "ok",
+  "ativo",
+  "ligado",
+  "ativa",
+  "working",
+  "connected",
+]);
+
+export function isPositiveStatus(v) {
+  const s = clean(v).toLowerCase();
+  if (NEG_STATES.has(s)) return false;
+  return POS_STATES.has(s);
+}
+
+/**
+ * Procura o worker de um miner numa lista normalizada:
+ * 1º pelo sufixo exato (case-insensitive), depois pela chave sem zeros.
+ */
+export function matchWorker(workers, workerName) {
+  const wantTail = tail(workerName).toLowerCase();
+  if (!wantTail) return null;
+  const wantKey = workerKey(workerName);
+  const list = workers || [];
+  return (
+    list.find((w) => tail(w.name).toLowerCase() === wantTail) ||
+    list.find((w) => workerKey(w.name) === wantKey) ||
+    null
+  );
+}
+
+/* ========= HTTP util ========= */
+
+const DEFAULT_TIMEOUT_MS = 20_000;
+const SLOW_LOG_MS = 5_000;
+const fetchLog = createLogger("pools:fetch");
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * fetch com timeout + retries (erro de rede, timeout, 429 e 5xx).
+ * Nunca lança: devolve { res, json, raw } com res=null em falha total.
+ * opts.log = logger do adapter (default "pools:fetch").
+ */
+export async function fetchJSON(url, opts = {}, retries = 1) {
+  const { timeout, log = fetchLog, ...fetchOpts } = opts;
+  const timeoutMs = typeof timeout === "number" ? timeout : DEFAULT_TIMEOUT_MS;
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    const controller = new AbortController();
+    const start = Date.now();
+    const to = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const res = await fetch(url, { ...fetchOpts, signal: controller.signal });
+      clearTimeout(to);
+
+      const ms = Date.now() - start;
+
+      let text = "";
+      try {
+        text = await res.text();
+      } catch {
+        // ignore
+      }
+
+      let json = null;
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch {
+        // ignore
+      }
+
+      if (ms > SLOW_LOG_MS) {
+        log.warn("fetchJSON slow", {
+          host: safeHost(url),
+          status: res.status,
+          ms,
+          timeoutMs,
+        });
+      }
+
+      const retryable = res.status === 429 || res.status >= 500;
+      if (retryable && attempt <= retries) {
+        const ra = Number(res.headers.get("retry-after")) * 1000 || 0;
+        await sleep(Math.max(ra, 300 * attempt) + Math.random() * 300);
+        continue;
+      }
+
+      return { res, json, raw: text };
+    } catch (e) {
+      clearTimeout(to);
+      const ms = Date.now() - start;
+      const isAbort = e && e.name === "AbortError";
+
+      if (attempt > retries) {
+        if (isAbort) {
+          log.warn("fetchJSON timeout", {
+            host: safeHost(url),
+            timeoutMs,
+            ms,
+            attempt,
+          });
+          return { res: null, json: null, raw: null, timeout: true };
+        }
+        log.error("fetchJSON failed", {
+          host: safeHost(url),
+          ms,
+          message: e?.message || String(e),
+        });
+        return { res: null, json: null, raw: null };
+      }
+
+      await sleep(300 * attempt + Math.random() * 300);
+    }
+  }
+}
+
+// nunca logar o URL inteiro: há pools com api_key na query string
+function safeHost(url) {
+  try {
+    const u = new URL(url);
+    return `${u.host}${u.pathname}`;
+  } catch {
+    return "(invalid-url)";
+  }
+}
+
+/* ========= resultados dos adapters ========= */
+
+/** sucesso: lista de workers normalizados */
+export function poolOk(workers, status = 200) {
+  return { ok: true, status, reason: null, workers };
+}
+
+/** sucesso de listWorkerHistory: series = [historySeries(...)] */
+export function historyOk(series, status = 200) {
+  return { ok: true, status, reason: null, workers: [], series };
+}
+
+/**
+ * falha: NUNCA usar para marcar offline (não há dados de workers).
+ * reason: missing_config | bad_worker | bad_coin | unavailable | timeout |
+ *         http | auth | geoblocked | schema | code_<n>
+ */
+export function poolFail(reason, status = 0, extra = {}) {
+  return { ok: false, status, reason, workers: [], ...extra };
+}
+
+/** reason genérica a partir de um { res } de fetchJSON falhado */
+export function failFromResponse(r) {
+  if (!r.res) return poolFail(r.timeout ? "timeout" : "http", 0);
+  const st = r.res.status;
+  if (st === 401 || st === 403) return poolFail("auth", st);
+  if (st === 451) return poolFail("geoblocked", st);
+  return poolFail("http", st);
+}
+
+/** worker normalizado partilhado por jobs e /status (hashrate sempre em H/s) */
+export function normalizedWorker({ name, online, hashrate, status, lastShareMs }) {
+  const hr = Number(hashrate ?? 0);
+  return {
+    name: clean(name),
+    online: !!online,
+    hashrate: Number.isFinite(hr) ? hr : 0,
+    status: status == null ? null : String(status),
+    lastShareMs: Number.isFinite(Number(lastShareMs)) ? Number(lastShareMs) : 0,
+  };
+}
+
+/** timestamp em s, ms ou string de data → ms (NaN se inválido) */
+export function toMs(v) {
+  if (typeof v === "string" && !/^\d+$/.test(v.trim())) return Date.parse(v);
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return NaN;
+  return n > 1e11 ? n : n * 1000;
+}
+
+/**
+ * Série de hashrate histórico de um worker (usada no backfill):
+ * { name, points: [{ t, spanMs, hashrate }] } ordenados, hashrate em H/s.
+ * spanMs deduzido do espaçamento entre pontos (granularidade da pool).
+ */
+export function historySeries(name, points, defaultSpanMs) {
+  const pts = points
+    .map((p) => ({ t: toMs(p.t), hashrate: Number(p.hashrate) }))
+    .filter((p) => Number.isFinite(p.t) && Number.isFinite(p.hashrate))
+    .sort((a, b) => a.t - b.t);
+
+  return {
+    name: clean(name),
+    points: pts.map((p, i) => ({
+      ...p,
+      spanMs:
+        i + 1 < pts.length
+          ? pts[i + 1].t - p.t
+          : i > 0
+          ? p.t - pts[i - 1].t
+          : defaultSpanMs,
+    })),
+  };
+}
@@ -0,0 +1,105 @@
+// src/pools/viabtc.js
+import {
+  fetchJSON,
+  failFromResponse,
+  isPositiveStatus,
+  normalizedWorker,
+  poolFail,
+  poolOk,
+} from "./utils.js";
+import { toHs } from "./units.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("pool:viabtc");
+const API_TIMEOUT_MS = 20_000; // VPS pode ter rota lenta para China
+// hashrate_10min vem em H/s
+const HASHRATE_UNIT = "H/s";
+
+/* ===== Public IP logging (a ViaBTC exige IP na whitelist da API key) ===== */
+const PUBLIC_IP_TTL_MS = 10 * 60 * 1000; // 10 minutos
+let lastPublicIpCheck = 0;
+let lastPublicIp = null;
+
+async function logPublicIp() {
+  const now = Date.now();
+  if (now - lastPublicIpCheck < PUBLIC_IP_TTL_MS) return;
+  lastPublicIpCheck = now;
+
+  const r = await fetchJSON(
+    "https://api.ipify.org?format=json",
+    { timeout: 5_000, log },
+    0
+  );
+  const ip = r.json?.ip || null;
+  if (ip !== lastPublicIp) {
+    lastPublicIp = ip;
+    log.info("OUTBOUND IP (via ipify)", { ip });
+  }
+}
+
+function normalizeCoin(c) {
+  const s = String(c ?? "").trim().toUpperCase();
+  return s === "BTC" || s === "LTC" ? s : "";
+}
+
+/** online se hashrate > 0 ou estado positivo ("unactive" NÃO é "active") */
+function isOnline(w) {
+  const hr = Number(w?.hashrate_10min ?? 0);
+  if (Number.isFinite(hr) && hr > 0) return true;
+  return isPositiveStatus(w?.worker_status);
+}
+
+/** GET openapi com validação do envelope { code, data } */
+async function apiGET(apiKey, path) {
+  const r = await fetchJSON(
+    `https://www.viabtc.net/res/openapi/v1${path}`,
+    { headers: { "X-API-KEY": apiKey }, timeout: API_TIMEOUT_MS, log },
+    1
+  );
+  if (!r.res || !r.res.ok) return { fail: failFromResponse(r) };
+
+  const data = r.json;
+  if (!data || typeof data.code !== "number") {
+    return { fail: poolFail("schema", r.res.status) };
+  }
+  if (data.code !== 0) {
+    return {
+      fail: poolFail(`code_${data.code}`, r.res.status, {
+        msg: data.message || data.msg || null,
+      }),
+    };
+  }
+  if (!Array.isArray(data.data?.data)) return { fail: poolFail("schema", r.res.status) };
+  return { rows: data.data.data, status: r.res.status };
+}
+
+async function listWorkers({ apiKey }, coin) {
+  const c = normalizeCoin(coin);
+  if (!apiKey || !c) return poolFail("missing_config");
+  await logPublicIp();
+
+  const r = await apiGET(apiKey, `/hashrate/worker?coin=${encodeURIComponent(c)}`);
+  if (r.fail) return r.fail;
+
+  const workers = r.rows.map((w) =>
+    normalizedWorker({
+      name: w.worker_name,
+      online: isOnline(w),
+      hashrate: toHs(w.hashrate_10min, HASHRATE_UNIT),
+      status: w.worker_status,
+    })
+  );
+  return poolOk(workers, r.status);
+}
+
+/* Sem listWorkerHistory: a ViaBTC só dá histórico diário por worker, que não
+ * serve para creditar slots de 15 min. Sem histórico o backfill ignora a pool
+ * (os buracos ficam abertos em vez de preenchidos com "unknown" e fechados). */
+
+export default {
+  id: "viabtc",
+  name: "ViaBTC",
+  errorPrefix: "viabtc",
+  normalizeCoin,
+  listWorkers,
+};
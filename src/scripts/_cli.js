@@ -0,0 +1,32 @@
+// src/scripts/_cli.js
+//
+// Partilhado pelos scripts de manutenção (npm run <script> -- …).
+import { sql } from "../config/db.js";
+
+/** --chave=valor → string, --flag → true, o resto em _ (comando e posicionais) */
+export function parseArgs(argv = process.argv.slice(2)) {
+  const out = { _: [] };
+  for (const a of argv) {
+    const m = /^--([^=]+)(?:=(.*))?$/.exec(a);
+    if (m) out[m[1]] = m[2] ?? true;
+    else out._.push(a);
+  }
+  return out;
+}
+
+export function requireArg(args, name) {
+  const v = args[name];
+  if (!v || v === true) throw new Error(`--${name} é obrigatório`);
+  return String(v);
+}
+
+/** corre main() e fecha a ligação à BD; erro → "⛔ <nome>: …" e exit 1 */
+export function runScript(name, main) {
+  return main()
+    .then(() => sql.end())
+    .catch(async (e) => {
+      console.error(`⛔ ${name}:`, e?.message || e);
+      await sql.end().catch(() => {});
+      process.exit(1);
+    });
+}
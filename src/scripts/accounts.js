@@ -0,0 +1,208 @@
+// src/scripts/accounts.js
+//
+// Contas de pool (pool_accounts) – credenciais partilhadas pelos miners da conta.
+//
+//   npm run accounts -- list
+//   npm run accounts -- import [--dry-run]      (cria contas para os miners sem conta e liga-os)
+//   npm run accounts -- set-key --id=7 [--api-key=...] [--secret-key=...]
+//   npm run accounts -- disable --id=7
+//
+// Trocar a chave de uma conta é um só UPDATE: todos os miners ligados passam a
+// usá-la no próximo ciclo. Com CREDENTIALS_KEY_ID definido as chaves são
+// gravadas cifradas (AAD "pool_accounts:<id>:<coluna>", ver src/lib/vault.js).
+import { sql } from "../config/db.js";
+import { credentialsFromMiner, listPoolAdapters } from "../pools/index.js";
+import { accountKeyFp } from "../pools/accounts.js";
+import { clean } from "../pools/utils.js";
+import { activeKeyId, open, seal } from "../lib/vault.js";
+import { parseArgs, requireArg, runScript } from "./_cli.js";
+
+/** key id ativo, ou null se a cifra não estiver configurada (grava em claro) */
+function sealKeyId() {
+  try {
+    return activeKeyId();
+  } catch {
+    return null;
+  }
+}
+
+/** valor a gravar numa coluna de pool_accounts */
+function storeValue(plain, accountId, col, kid) {
+  const v = clean(plain);
+  if (!v) return null;
+  return kid ? seal(v, `pool_accounts:${accountId}:${col}`, kid) : v;
+}
+
+/**
+ * Cria a conta e grava as chaves na mesma transação (o AAD precisa do id,
+ * por isso são dois statements): um crash a meio não deixa contas sem chave.
+ * Conta já existente sem chaves (import antigo interrompido) é reparada.
+ */
+async function findOrCreateAccount({ pool, account, coin, keyFp, apiKey, secretKey }, kid) {
+  return sql.begin(async (tx) => {
+    const [created] = await tx/*sql*/`
+      INSERT INTO pool_accounts (pool, account, coin, key_fp)
+      VALUES (${pool}, ${account}, ${coin}, ${keyFp})
+      ON CONFLICT (pool, account, coin, key_fp) DO NOTHING
+      RETURNING id
+    `;
+    const [row] = created
+      ? [created]
+      : await tx/*sql*/`
+          SELECT id FROM pool_accounts
+          WHERE pool = ${pool} AND account = ${account} AND coin = ${coin} AND key_fp = ${keyFp}
+          FOR UPDATE
+        `;
+    await tx/*sql*/`
+      UPDATE pool_accounts
+      SET api_key = ${storeValue(apiKey, row.id, "api_key", kid)},
+          secret_key = ${storeValue(secretKey, row.id, "secret_key", kid)}
+      WHERE id = ${row.id} AND api_key IS NULL AND secret_key IS NULL
+    `;
+    return { id: row.id, created: !!created };
+  });
+}
+
+async function importAccounts(dryRun) {
+  const kid = sealKeyId();
+  const stats = { miners: 0, accounts: 0, created: 0, linked: 0, skipped: 0 };
+
+  for (const adapter of listPoolAdapters()) {
+    const miners = await sql/*sql*/`
+      SELECT id, worker_name, api_key, secret_key, coin
+      FROM miners
+      WHERE pool = ${adapter.name}
+        AND pool_account_id IS NULL
+        AND COALESCE(api_key, '') <> ''
+      ORDER BY id
+    `;
+
+    const groups = new Map();
+    for (const m of miners) {
+      stats.miners += 1;
+      const coin = adapter.normalizeCoin(m.coin);
+      if (!coin) {
+        stats.skipped += 1;
+        continue;
+      }
+      const c = credentialsFromMiner(m);
+      const keyFp = accountKeyFp(c.apiKey, c.secretKey);
+      const k = [adapter.id, c.account, coin, keyFp].join("|");
+      if (!groups.has(k)) {
+        groups.set(k, {
+          pool: adapter.id,
+          account: c.account,
+          coin,
+          keyFp,
+          // valores em claro (decifrados com o AAD do miner de origem)
+          apiKey: open(c.apiKey, `${c.scope}:api_key`),
+          secretKey: open(c.secretKey, `${c.scope}:secret_key`),
+          ids: [],
+        });
+      }
+      groups.get(k).ids.push(String(m.id));
+    }
+
+    for (const g of groups.values()) {
+      stats.accounts += 1;
+      if (dryRun) {
+        console.log("[accounts] import", {
+          pool: g.pool,
+          account: g.account || undefined,
+          coin: g.coin,
+          miners: g.ids.length,
+        });
+        continue;
+      }
+      const { id, created } = await findOrCreateAccount(g, kid);
+      if (created) stats.created += 1;
+      const r = await sql/*sql*/`
+        UPDATE miners SET pool_account_id = ${id}
+        WHERE id::text = ANY(${g.ids}) AND pool_account_id IS NULL
+        RETURNING id
+      `;
+      stats.linked += r.length;
+    }
+  }
+
+  console.log("[accounts] import", { dryRun, sealed: !!kid, ...stats });
+}
+
+async function main() {
+  const args = parseArgs();
+  const cmd = args._[0] || "list";
+  const dryRun = args["dry-run"] === true;
+
+  if (cmd === "list") {
+    const rows = await sql/*sql*/`
+      SELECT a.id, a.pool, a.account, a.coin, a.label, a.active, a.updated_at,
+             count(m.id)::int AS miners
+      FROM pool_accounts a
+      LEFT JOIN miners m ON m.pool_account_id = a.id
+      GROUP BY a.id
+      ORDER BY a.pool, a.id
+    `;
+    console.table(
+      rows.map((r) => ({
+        id: r.id,
+        pool: r.pool,
+        account: r.account,
+        coin: r.coin,
+        label: r.label,
+        active: r.active,
+        miners: r.miners,
+        updated: new Date(r.updated_at).toISOString(),
+      }))
+    );
+    return;
+  }
+
+  if (cmd === "import") {
+    await importAccounts(dryRun);
+    return;
+  }
+
+  if (cmd === "set-key") {
+    const id = Number(requireArg(args, "id"));
+    if (args["api-key"] == null && args["secret-key"] == null) {
+      throw new Error("indicar --api-key e/ou --secret-key");
+    }
+    const [acc] = await sql/*sql*/`
+      SELECT id, api_key, secret_key FROM pool_accounts WHERE id = ${id}
+    `;
+    if (!acc) throw new Error(`conta ${id} não existe`);
+
+    const kid = sealKeyId();
+    const api =
+      args["api-key"] != null
+        ? storeValue(requireArg(args, "api-key"), id, "api_key", kid)
+        : acc.api_key;
+    const secret =
+      args["secret-key"] != null
+        ? storeValue(requireArg(args, "secret-key"), id, "secret_key", kid)
+        : acc.secret_key;
+    await sql/*sql*/`
+      UPDATE pool_accounts
+      SET api_key = ${api}, secret_key = ${secret},
+          key_fp = ${accountKeyFp(api, secret)}, updated_at = now()
+      WHERE id = ${id}
+    `;
+    console.log("[accounts] chave atualizada", { id, sealed: !!kid });
+    return;
+  }
+
+  if (cmd === "disable") {
+    const id = requireArg(args, "id");
+    const r = await sql/*sql*/`
+      UPDATE pool_accounts SET active = false, updated_at = now()
+      WHERE id = ${id}::int
+      RETURNING id
+    `;
+    console.log("[accounts] desativadas:", r.length);
+    return;
+  }
+
+  throw new Error(`comando desconhecido: ${cmd}`);
+}
+
+runScript("accounts", main);
@@ -0,0 +1,66 @@
+// src/scripts/apikeys.js
+//
+// Chaves de acesso à API de status.
+//
+//   npm run apikeys -- list
+//   npm run apikeys -- add --user=42 [--label=dashboard]
+//   npm run apikeys -- add --admin [--label=ops]
+//   npm run apikeys -- revoke --id=3
+//
+// A chave só é mostrada na criação (a BD guarda o sha256).
+import crypto from "crypto";
+import { sql } from "../config/db.js";
+import { hashApiKey } from "../lib/auth.js";
+import { parseArgs, requireArg, runScript } from "./_cli.js";
+
+async function main() {
+  const args = parseArgs();
+  const cmd = args._[0] || "list";
+
+  if (cmd === "list") {
+    const rows = await sql/*sql*/`
+      SELECT id, user_id, admin, label, active, created_at, last_used_at
+      FROM api_keys
+      ORDER BY id
+    `;
+    console.table(
+      rows.map((r) => ({
+        id: r.id,
+        user: r.user_id,
+        admin: r.admin,
+        label: r.label,
+        active: r.active,
+        last_used: r.last_used_at ? new Date(r.last_used_at).toISOString() : null,
+      }))
+    );
+    return;
+  }
+
+  if (cmd === "add") {
+    const admin = args.admin === true;
+    const userId = admin && !args.user ? null : requireArg(args, "user");
+    const label = args.label && args.label !== true ? String(args.label) : null;
+    const key = `cmk_${crypto.randomBytes(24).toString("base64url")}`;
+    const [row] = await sql/*sql*/`
+      INSERT INTO api_keys (key_hash, user_id, admin, label)
+      VALUES (${hashApiKey(key)}, ${userId}, ${admin}, ${label})
+      RETURNING id
+    `;
+    console.log("[apikeys] criada", { id: row.id, user: userId, admin });
+    console.log("[apikeys] key:", key);
+    return;
+  }
+
+  if (cmd === "revoke") {
+    const id = requireArg(args, "id");
+    const r = await sql/*sql*/`
+      UPDATE api_keys SET active = false WHERE id = ${id}::int RETURNING id
+    `;
+    console.log("[apikeys] revogadas:", r.length);
+    return;
+  }
+
+  throw new Error(`comando desconhecido: ${cmd}`);
+}
+
+runScript("apikeys", main);
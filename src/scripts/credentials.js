@@ -0,0 +1,197 @@
+// src/scripts/credentials.js
+//
+// Cifra das credenciais guardadas na BD: miners.api_key / secret_key,
+// pool_accounts.api_key / secret_key e webhook_endpoints.secret
+// (formato e master keys: src/lib/vault.js).
+//
+//   npm run credentials -- status
+//   npm run credentials -- encrypt [--dry-run]   (cifra as linhas em claro com a key ativa)
+//   npm run credentials -- rotate [--dry-run]    (re-cifra com a ativa os valores de outras keys / enc:v1)
+//
+// Rotação: acrescentar a nova key a CREDENTIALS_KEYS, mudar CREDENTIALS_KEY_ID,
+// fazer deploy, correr "rotate" e só depois retirar a key antiga do env.
+// O fingerprint depende da master key, por isso "rotate" recalcula também
+// pool_accounts.key_fp (até lá "accounts import" pode não reconhecer contas).
+// Cada UPDATE só aplica se o valor não mudou entretanto (a app principal
+// pode estar a escrever credenciais novas em claro ao mesmo tempo).
+import { sql } from "../config/db.js";
+import { clean } from "../pools/utils.js";
+import { accountKeyFp } from "../pools/accounts.js";
+import { activeKeyId, isSealed, needsReseal, reseal, seal, sealedKeyId } from "../lib/vault.js";
+import { parseArgs, runScript } from "./_cli.js";
+
+const BATCH = 500;
+
+/**
+ * Tabelas com credenciais: select(lastId) → próximo lote; update(r, v) grava v
+ * se a linha ainda tiver os valores lidos (r). keyFp: recalcular key_fp.
+ */
+const TABLES = [
+  {
+    table: "miners",
+    columns: ["api_key", "secret_key"],
+    select: (lastId) => sql/*sql*/`
+      SELECT id, api_key, secret_key FROM miners
+      WHERE id > ${lastId}::bigint
+        AND (COALESCE(api_key, '') <> '' OR COALESCE(secret_key, '') <> '')
+      ORDER BY id
+      LIMIT ${BATCH}
+    `,
+    update: (r, v) => sql/*sql*/`
+      UPDATE miners SET api_key = ${v.api_key}, secret_key = ${v.secret_key}
+      WHERE id = ${r.id}
+        AND api_key IS NOT DISTINCT FROM ${r.api_key}
+        AND secret_key IS NOT DISTINCT FROM ${r.secret_key}
+      RETURNING id
+    `,
+  },
+  {
+    table: "pool_accounts",
+    columns: ["api_key", "secret_key"],
+    keyFp: true,
+    select: (lastId) => sql/*sql*/`
+      SELECT id, api_key, secret_key, key_fp FROM pool_accounts
+      WHERE id > ${lastId}::bigint
+      ORDER BY id
+      LIMIT ${BATCH}
+    `,
+    update: (r, v) => sql/*sql*/`
+      UPDATE pool_accounts
+      SET api_key = ${v.api_key}, secret_key = ${v.secret_key}, key_fp = ${v.key_fp},
+          updated_at = now()
+      WHERE id = ${r.id}
+        AND api_key IS NOT DISTINCT FROM ${r.api_key}
+        AND secret_key IS NOT DISTINCT FROM ${r.secret_key}
+      RETURNING id
+    `,
+  },
+  {
+    table: "webhook_endpoints",
+    columns: ["secret"],
+    select: (lastId) => sql/*sql*/`
+      SELECT id, secret FROM webhook_endpoints
+      WHERE id > ${lastId}::bigint
+      ORDER BY id
+      LIMIT ${BATCH}
+    `,
+    update: (r, v) => sql/*sql*/`
+      UPDATE webhook_endpoints SET secret = ${v.secret}
+      WHERE id = ${r.id} AND secret = ${r.secret}
+      RETURNING id
+    `,
+  },
+];
+
+/**
+ * percorre as linhas de t por lotes de id; fn(row, col) → valor novo da coluna
+ * (undefined = manter). Devolve { rows, updated, conflicts }.
+ */
+async function eachBatch(t, fn, dryRun) {
+  let lastId = "0";
+  const stats = { rows: 0, updated: 0, conflicts: 0 };
+  for (;;) {
+    const rows = await t.select(lastId);
+    if (!rows.length) break;
+    lastId = String(rows[rows.length - 1].id);
+
+    for (const r of rows) {
+      stats.rows += 1;
+      const next = {};
+      let changed = false;
+      for (const col of t.columns) {
+        const v = fn(r, col);
+        next[col] = v ?? r[col];
+        if (v !== undefined) changed = true;
+      }
+      if (t.keyFp) {
+        next.key_fp = accountKeyFp(next.api_key, next.secret_key);
+        if (next.key_fp !== r.key_fp) changed = true;
+      }
+      if (!changed) continue;
+      if (dryRun) {
+        stats.updated += 1;
+        continue;
+      }
+      const u = await t.update(r, next);
+      if (u.length) stats.updated += 1;
+      else stats.conflicts += 1;
+    }
+  }
+  return stats;
+}
+
+/** fn aplicada a todas as tabelas → { tabela: stats } */
+async function eachTable(fn, dryRun) {
+  const out = {};
+  for (const t of TABLES) out[t.table] = await eachBatch(t, fn(t), dryRun);
+  return out;
+}
+
+async function main() {
+  const args = parseArgs();
+  const cmd = args._[0] || "status";
+  const dryRun = args["dry-run"] === true;
+
+  if (cmd === "status") {
+    const counts = new Map();
+    const kid = (() => {
+      try {
+        return activeKeyId();
+      } catch {
+        return null;
+      }
+    })();
+    for (const t of TABLES) {
+      await eachBatch(
+        t,
+        (r, col) => {
+          const v = r[col];
+          if (!v) return undefined;
+          const state = !isSealed(v)
+            ? "plain"
+            : `enc:${sealedKeyId(v)}${kid && needsReseal(v, kid) ? " (rotate)" : ""}`;
+          const k = `${t.table}.${col} ${state}`;
+          counts.set(k, (counts.get(k) || 0) + 1);
+          return undefined;
+        },
+        true
+      );
+    }
+    console.table(Object.fromEntries([...counts].sort()));
+    return;
+  }
+
+  if (cmd === "encrypt") {
+    const kid = activeKeyId();
+    const stats = await eachTable(
+      (t) => (r, col) => {
+        const v = clean(r[col]);
+        if (v && !isSealed(v)) return seal(v, `${t.table}:${r.id}:${col}`, kid);
+        return undefined;
+      },
+      dryRun
+    );
+    console.log("[credentials] encrypt", { kid, dryRun });
+    console.table(stats);
+    return;
+  }
+
+  if (cmd === "rotate") {
+    const kid = activeKeyId();
+    const stats = await eachTable(
+      (t) => (r, col) => {
+        const v = r[col];
+        if (needsReseal(v, kid)) return reseal(v, `${t.table}:${r.id}:${col}`, kid);
+        return undefined;
+      },
+      dryRun
+    );
+    console.log("[credentials] rotate", { kid, dryRun });
+    console.table(stats);
+    return;
+  }
+
+  throw new Error(`comando desconhecido: ${cmd}`);
+}
+
+runScript("credentials", main);
@@ -0,0 +1,35 @@
+// src/scripts/notifyTest.js
+//
+// Envia uma mensagem de teste para os canais ativos de um cliente
+// (útil com stand-ins locais: Mailpit em SMTP_HOST=localhost SMTP_PORT=1025,
+// TELEGRAM_API_BASE=http://localhost:8080, webhook Discord local).
+//
+//   npm run notify:test -- --user=<user_id>
+import { sql } from "../config/db.js";
+import { sendToChannel } from "../notifications/channels.js";
+import { parseArgs, runScript } from "./_cli.js";
+
+async function main() {
+  const args = parseArgs();
+  if (!args.user || args.user === true) throw new Error("--user é obrigatório");
+
+  const channels = await sql/*sql*/`
+    SELECT id, kind, target FROM notification_channels
+    WHERE user_id = ${String(args.user)} AND active
+    ORDER BY id
+  `;
+  if (!channels.length) {
+    console.log("[notify:test] sem canais ativos para", args.user);
+    return;
+  }
+
+  for (const ch of channels) {
+    const r = await sendToChannel(ch, {
+      subject: "Teste de notificações",
+      text: "🔔 Teste: as notificações de miners estão configuradas.",
+    });
+    console.log("[notify:test]", { channel: ch.id, kind: ch.kind, ...r });
+  }
+}
+
+runScript("notify:test", main);
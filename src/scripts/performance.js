@@ -0,0 +1,147 @@
+// src/scripts/performance.js
+//
+// Hashrate esperado por modelo (miner_model_specs) e por miner
+// (miner_performance), usado pelo job perf:degraded.
+//
+//   npm run performance -- models
+//   npm run performance -- set-model --model=S19j-Pro --hashrate=104TH/s [--algo=sha256]
+//   npm run performance -- assign --model=S19j-Pro --ids=1,2,3
+//   npm run performance -- set-expected --id=7 --hashrate=95TH/s   (sobrepõe-se ao modelo)
+//   npm run performance -- set-expected --id=7 --clear
+//   npm run performance -- list [--degraded]
+//
+// --hashrate aceita unidade (H/s, kH/s … PH/s); sem unidade é H/s.
+import { sql } from "../config/db.js";
+import { HASH_UNITS, formatHashrate } from "../pools/units.js";
+import { parseArgs, requireArg, runScript } from "./_cli.js";
+
+/** "104TH/s" | "104 th/s" | "1.04e14" → H/s */
+function parseHashrate(v) {
+  const m = /^\s*([\d.]+(?:e\d+)?)\s*([kmgtp]?h\/s)?\s*$/i.exec(String(v));
+  const unit = m?.[2]
+    ? Object.keys(HASH_UNITS).find((u) => u.toLowerCase() === m[2].toLowerCase())
+    : "H/s";
+  const hs = m ? Number(m[1]) * HASH_UNITS[unit] : NaN;
+  if (!(hs > 0) || !Number.isFinite(hs)) throw new Error(`--hashrate inválido: ${v}`);
+  return hs;
+}
+
+const idsArg = (args) => {
+  const ids = requireArg(args, "ids")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!ids.every((id) => /^\d+$/.test(id))) throw new Error("--ids: lista de ids numéricos");
+  return ids;
+};
+
+function fmt(hs, algo) {
+  if (hs == null) return null;
+  const h = formatHashrate(Number(hs), algo);
+  return `${h.value} ${h.unit}`;
+}
+
+async function main() {
+  const args = parseArgs();
+  const cmd = args._[0] || "list";
+
+  if (cmd === "models") {
+    const rows = await sql/*sql*/`
+      SELECT s.model, s.algo, s.expected_hashrate, s.updated_at,
+             count(p.miner_id)::int AS miners
+      FROM miner_model_specs s
+      LEFT JOIN miner_performance p ON p.model = s.model
+      GROUP BY s.model
+      ORDER BY s.model
+    `;
+    console.table(
+      rows.map((r) => ({
+        model: r.model,
+        algo: r.algo,
+        expected: fmt(r.expected_hashrate, r.algo),
+        miners: r.miners,
+        updated: new Date(r.updated_at).toISOString(),
+      }))
+    );
+    return;
+  }
+
+  if (cmd === "set-model") {
+    const model = requireArg(args, "model");
+    const hs = parseHashrate(requireArg(args, "hashrate"));
+    const algo = args.algo && args.algo !== true ? String(args.algo) : null;
+    await sql/*sql*/`
+      INSERT INTO miner_model_specs (model, algo, expected_hashrate)
+      VALUES (${model}, ${algo}, ${hs})
+      ON CONFLICT (model) DO UPDATE SET
+        algo = COALESCE(EXCLUDED.algo, miner_model_specs.algo),
+        expected_hashrate = EXCLUDED.expected_hashrate,
+        updated_at = now()
+    `;
+    console.log("[performance] modelo gravado", { model, expected: fmt(hs, algo) });
+    return;
+  }
+
+  if (cmd === "assign") {
+    const model = requireArg(args, "model");
+    const ids = idsArg(args);
+    const [spec] = await sql/*sql*/`SELECT 1 FROM miner_model_specs WHERE model = ${model}`;
+    if (!spec) throw new Error(`modelo ${model} não existe (set-model primeiro)`);
+    const r = await sql/*sql*/`
+      INSERT INTO miner_performance (miner_id, model)
+      SELECT m.id, ${model} FROM miners m WHERE m.id::text = ANY(${ids})
+      ON CONFLICT (miner_id) DO UPDATE SET model = EXCLUDED.model
+      RETURNING miner_id
+    `;
+    console.log("[performance] miners com modelo:", r.length, "de", ids.length);
+    return;
+  }
+
+  if (cmd === "set-expected") {
+    const id = requireArg(args, "id");
+    const hs = args.clear === true ? null : parseHashrate(requireArg(args, "hashrate"));
+    const r = await sql/*sql*/`
+      INSERT INTO miner_performance (miner_id, expected_hashrate)
+      SELECT m.id, ${hs}::float8 FROM miners m WHERE m.id::text = ${id}
+      ON CONFLICT (miner_id) DO UPDATE SET expected_hashrate = EXCLUDED.expected_hashrate
+      RETURNING miner_id
+    `;
+    if (!r.length) throw new Error(`miner ${id} não existe`);
+    console.log("[performance] hashrate esperado", {
+      id,
+      expected: hs == null ? "modelo" : fmt(hs),
+    });
+    return;
+  }
+
+  if (cmd === "list") {
+    const onlyDegraded = args.degraded === true;
+    const rows = await sql/*sql*/`
+      SELECT p.miner_id, p.model, s.algo,
+             COALESCE(p.expected_hashrate, s.expected_hashrate) AS expected,
+             p.expected_hashrate IS NOT NULL AS override,
+             p.avg_hashrate, p.ratio, p.degraded, p.degraded_since, p.checked_at
+      FROM miner_performance p
+      LEFT JOIN miner_model_specs s ON s.model = p.model
+      WHERE NOT ${onlyDegraded}::boolean OR p.degraded
+      ORDER BY p.miner_id
+    `;
+    console.table(
+      rows.map((r) => ({
+        miner: String(r.miner_id),
+        model: r.model,
+        expected: fmt(r.expected, r.algo),
+        override: r.override,
+        avg: fmt(r.avg_hashrate, r.algo),
+        ratio: r.ratio == null ? null : Number(Number(r.ratio).toFixed(3)),
+        degraded: r.degraded,
+        checked: r.checked_at ? new Date(r.checked_at).toISOString() : null,
+      }))
+    );
+    return;
+  }
+
+  throw new Error(`comando desconhecido: ${cmd}`);
+}
+
+runScript("performance", main);
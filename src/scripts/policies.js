@@ -0,0 +1,99 @@
+// src/scripts/policies.js
+//
+// Política de confirmação por pool (tabela pool_policies). Aplica-se no slot
+// seguinte, sem redeploy. Campos omitidos ficam com o default do job.
+//
+//   npm run uptime:policies -- list
+//   npm run uptime:policies -- set --pool=binance --missing=unknown --reads=2
+//   npm run uptime:policies -- set --pool=miningdutch --tolerance-slots=6 --grace-minutes=90
+//   npm run uptime:policies -- reset --pool=binance
+import { sql } from "../config/db.js";
+import { getPoolAdapter } from "../pools/index.js";
+import { sanitizePolicy } from "../uptime/policy.js";
+import { parseArgs, runScript } from "./_cli.js";
+
+function parseValue(v) {
+  if (v === true || v === "true") return true;
+  if (v === "false") return false;
+  if (/^\d+$/.test(String(v))) return Number(v);
+  return String(v);
+}
+
+function poolArg(args) {
+  const adapter = getPoolAdapter(args.pool);
+  if (!adapter) throw new Error(`--pool inválido: ${args.pool ?? ""}`);
+  return adapter.id;
+}
+
+async function main() {
+  const args = parseArgs();
+  const cmd = args._[0] || "list";
+
+  if (cmd === "list") {
+    const rows = await sql/*sql*/`SELECT * FROM pool_policies ORDER BY pool`;
+    console.table(
+      rows.map((r) => ({
+        pool: r.pool,
+        reads: r.reads,
+        tolerance_slots: r.tolerance_slots,
+        grace_minutes: r.grace_minutes,
+        missing: r.missing,
+        hours_require_hashrate: r.hours_require_hashrate,
+        updated_at: new Date(r.updated_at).toISOString(),
+      }))
+    );
+    if (process.env.UPTIME_POLICIES) {
+      console.log("[policies] UPTIME_POLICIES (env):", process.env.UPTIME_POLICIES);
+    }
+    return;
+  }
+
+  if (cmd === "set") {
+    const pool = poolArg(args);
+    const p = sanitizePolicy(
+      {
+        reads: args.reads != null ? parseValue(args.reads) : undefined,
+        toleranceSlots:
+          args["tolerance-slots"] != null ? parseValue(args["tolerance-slots"]) : undefined,
+        graceMinutes:
+          args["grace-minutes"] != null ? parseValue(args["grace-minutes"]) : undefined,
+        missing: args.missing != null ? parseValue(args.missing) : undefined,
+        hoursRequireHashrate:
+          args["hours-require-hashrate"] != null
+            ? parseValue(args["hours-require-hashrate"])
+            : undefined,
+      },
+      "cli"
+    );
+    if (!Object.keys(p).length) throw new Error("nenhum campo válido para alterar");
+
+    await sql/*sql*/`
+      INSERT INTO pool_policies
+        (pool, reads, tolerance_slots, grace_minutes, missing, hours_require_hashrate)
+      VALUES (${pool}, ${p.reads ?? null}, ${p.toleranceSlots ?? null},
+              ${p.graceMinutes ?? null}, ${p.missing ?? null},
+              ${p.hoursRequireHashrate ?? null})
+      ON CONFLICT (pool) DO UPDATE SET
+        reads = COALESCE(EXCLUDED.reads, pool_policies.reads),
+        tolerance_slots = COALESCE(EXCLUDED.tolerance_slots, pool_policies.tolerance_slots),
+        grace_minutes = COALESCE(EXCLUDED.grace_minutes, pool_policies.grace_minutes),
+        missing = COALESCE(EXCLUDED.missing, pool_policies.missing),
+        hours_require_hashrate =
+          COALESCE(EXCLUDED.hours_require_hashrate, pool_policies.hours_require_hashrate),
+        updated_at = now()
+    `;
+    console.log("[policies] atualizada", { pool, ...p });
+    return;
+  }
+
+  if (cmd === "reset") {
+    const pool = poolArg(args);
+    const r = await sql/*sql*/`DELETE FROM pool_policies WHERE pool = ${pool} RETURNING pool`;
+    console.log("[policies] removida (volta aos defaults):", r.length ? pool : "nada a remover");
+    return;
+  }
+
+  throw new Error(`comando desconhecido: ${cmd}`);
+}
+
+runScript("policies", main);
@@ -0,0 +1,81 @@
+// src/scripts/recomputeUptime.js
+//
+// Recalcula horas online a partir do histórico por slot (miner_uptime_slots).
+//
+//   npm run uptime:recompute -- --from=2025-03-01 --to=2025-04-01 [--miner=42] [--apply]
+//
+// Sem --apply só mostra o relatório (horas no intervalo + diferença entre
+// total_horas_online e o total derivado). Com --apply repõe
+// total_horas_online = miner_uptime_totals para os miners com slots no intervalo.
+import { sql } from "../config/db.js";
+import { SLOT_HOURS } from "../uptime/slots.js";
+import { parseArgs, runScript } from "./_cli.js";
+
+function parseDate(v, name) {
+  const d = new Date(String(v ?? ""));
+  if (!v || Number.isNaN(d.getTime())) {
+    throw new Error(`--${name} inválido (usa ISO, ex.: 2025-03-01)`);
+  }
+  return d.toISOString();
+}
+
+async function main() {
+  const args = parseArgs();
+  const from = parseDate(args.from, "from");
+  const to = parseDate(args.to, "to");
+  const minerId = args.miner ? String(args.miner) : null;
+  const apply = args.apply === true;
+
+  if (from >= to) throw new Error("--from tem de ser anterior a --to");
+
+  const rows = await sql/*sql*/`
+    SELECT s.miner_id,
+           COUNT(*) FILTER (WHERE s.state = 'online')  AS online_slots,
+           COUNT(*) FILTER (WHERE s.state = 'offline') AS offline_slots,
+           COUNT(*) FILTER (WHERE s.state = 'unknown') AS unknown_slots,
+           ${SLOT_HOURS}::numeric * COUNT(*) FILTER (WHERE s.credited) AS hours_in_range,
+           t.total_horas_online                        AS derived_total,
+           m.total_horas_online                        AS current_total
+    FROM miner_uptime_slots s
+    JOIN miners m ON m.id = s.miner_id
+    JOIN miner_uptime_totals t ON t.miner_id = s.miner_id
+    WHERE s.slot >= ${from}::timestamptz
+      AND s.slot < ${to}::timestamptz
+      AND (${minerId}::bigint IS NULL OR s.miner_id = ${minerId}::bigint)
+    GROUP BY s.miner_id, t.total_horas_online, m.total_horas_online
+    ORDER BY s.miner_id
+  `;
+
+  console.log("[recompute] intervalo", { from, to, miner: minerId, apply });
+  console.table(
+    rows.map((r) => ({
+      miner: String(r.miner_id),
+      online: Number(r.online_slots),
+      offline: Number(r.offline_slots),
+      unknown: Number(r.unknown_slots),
+      horas: Number(r.hours_in_range),
+      total_atual: Number(r.current_total ?? 0),
+      total_derivado: Number(r.derived_total),
+    }))
+  );
+
+  const drift = rows.filter(
+    (r) => Number(r.current_total ?? 0) !== Number(r.derived_total)
+  );
+  console.log("[recompute] miners com diferença:", drift.length);
+
+  if (!apply || !drift.length) return;
+
+  const ids = drift.map((r) => String(r.miner_id));
+  const r = await sql/*sql*/`
+    UPDATE miners m
+    SET total_horas_online = t.total_horas_online
+    FROM miner_uptime_totals t
+    WHERE t.miner_id = m.id
+      AND m.id = ANY(${ids}::bigint[])
+    RETURNING m.id
+  `;
+  console.log("[recompute] total_horas_online reposto em", r.length, "miners");
+}
+
+runScript("recompute", main);
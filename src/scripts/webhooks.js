@@ -0,0 +1,132 @@
+// src/scripts/webhooks.js
+//
+// Gestão dos webhooks (mudanças de status dos miners e credenciais das contas).
+//
+//   npm run webhooks -- list
+//   npm run webhooks -- add --url=https://ops.example/hook [--secret=...]
+//   npm run webhooks -- disable --id=3
+//   npm run webhooks -- dead [--limit=50]
+//   npm run webhooks -- replay --delivery=123     (tira da dead-letter e volta a tentar)
+//
+// Sem --secret é gerado um (mostrado só uma vez). Com CREDENTIALS_KEY_ID
+// definido o secret é gravado cifrado (AAD "webhook_endpoints:<id>:secret",
+// ver src/lib/vault.js).
+import crypto from "crypto";
+import { sql } from "../config/db.js";
+import { activeKeyId, seal } from "../lib/vault.js";
+import { parseArgs, requireArg, runScript } from "./_cli.js";
+
+/** key id ativo, ou null se a cifra não estiver configurada (grava em claro) */
+function sealKeyId() {
+  try {
+    return activeKeyId();
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  const args = parseArgs();
+  const cmd = args._[0] || "list";
+
+  if (cmd === "list") {
+    const rows = await sql/*sql*/`
+      SELECT w.id, w.url, w.active, w.created_at,
+             COUNT(*) FILTER (WHERE d.status = 'pending') AS pending,
+             COUNT(*) FILTER (WHERE d.status = 'dead')    AS dead
+      FROM webhook_endpoints w
+      LEFT JOIN webhook_deliveries d ON d.endpoint_id = w.id
+      GROUP BY w.id
+      ORDER BY w.id
+    `;
+    console.table(
+      rows.map((r) => ({
+        id: r.id,
+        url: r.url,
+        active: r.active,
+        pending: Number(r.pending),
+        dead: Number(r.dead),
+      }))
+    );
+    return;
+  }
+
+  if (cmd === "add") {
+    const url = new URL(requireArg(args, "url")).toString();
+    const secret =
+      args.secret && args.secret !== true
+        ? String(args.secret)
+        : crypto.randomBytes(32).toString("hex");
+    const kid = sealKeyId();
+    // o AAD precisa do id: insert + update na mesma transação
+    const row = await sql.begin(async (tx) => {
+      const [r] = await tx/*sql*/`
+        INSERT INTO webhook_endpoints (url, secret) VALUES (${url}, ${kid ? "" : secret})
+        RETURNING id
+      `;
+      if (kid) {
+        await tx/*sql*/`
+          UPDATE webhook_endpoints
+          SET secret = ${seal(secret, `webhook_endpoints:${r.id}:secret`, kid)}
+          WHERE id = ${r.id}
+        `;
+      }
+      return r;
+    });
+    console.log("[webhooks] criado", { id: row.id, url, sealed: !!kid });
+    if (!args.secret) console.log("[webhooks] secret:", secret);
+    return;
+  }
+
+  if (cmd === "disable") {
+    const id = requireArg(args, "id");
+    const r = await sql/*sql*/`
+      UPDATE webhook_endpoints SET active = false WHERE id = ${id}::int RETURNING id
+    `;
+    console.log("[webhooks] desativados:", r.length);
+    return;
+  }
+
+  if (cmd === "dead") {
+    const limit = Math.min(Number(args.limit) || 50, 500);
+    const rows = await sql/*sql*/`
+      SELECT delivery_id, event_id, account_event_id, endpoint_id, url, attempts, last_status,
+             last_error, failed_at
+      FROM webhook_dead_letters
+      ORDER BY failed_at DESC
+      LIMIT ${limit}
+    `;
+    console.table(
+      rows.map((r) => ({
+        delivery: String(r.delivery_id),
+        event: r.event_id != null ? String(r.event_id) : `account:${r.account_event_id}`,
+        endpoint: r.endpoint_id,
+        attempts: r.attempts,
+        last: r.last_error,
+        failed_at: new Date(r.failed_at).toISOString(),
+      }))
+    );
+    return;
+  }
+
+  if (cmd === "replay") {
+    const id = requireArg(args, "delivery");
+    const r = await sql/*sql*/`
+      WITH dl AS (
+        DELETE FROM webhook_dead_letters WHERE delivery_id = ${id}::bigint
+        RETURNING delivery_id
+      )
+      UPDATE webhook_deliveries d
+      SET status = 'pending', attempts = 0, next_attempt_at = now(), last_error = NULL
+      FROM dl
+      WHERE d.id = dl.delivery_id
+      RETURNING d.id
+    `;
+    console.log("[webhooks] reagendadas:", r.length);
+    return;
+  }
+
+  throw new Error(`comando desconhecido: ${cmd}`);
+}
+
+runScript("webhooks", main);
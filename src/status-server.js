@@ -3,24 +3,110 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import express from "express";
-import { getMinerStatus, getMinersStatusMany } from "./status-service.js";
+import {
+  getMinerHashrate,
+  getMinerStatus,
+  getMinersStatusMany,
+  getStatusStream,
+  wantsRefresh,
+} from "./status-service.js";
+import {
+  paramId,
+  queryIds,
+  requireAccountScope,
+  requireAdmin,
+  requireAuth,
+  requireMinerScope,
+} from "./lib/auth.js";
+import { getAccountHealth } from "./pools/health.js";
+import { getMetrics } from "./lib/metrics.js";
+import { createLogger, requestContext } from "./lib/logger.js";
+import { getLocks } from "./lib/locks.js";
+import {
+  apiRateLimit,
+  ipRateLimit,
+  maxIds,
+  refreshRateLimit,
+  trustProxySetting,
+} from "./lib/rateLimit.js";
 
 const app = express();
+// req.ip (limite por IP) atrás de um proxy: ver TRUST_PROXY em src/lib/rateLimit.js
+app.set("trust proxy", trustProxySetting());
+app.use(requestContext);
 
 app.get("/health", (req, res) => {
   res.json({ ok: true, service: "cryptominers-worker-status" });
 });
 
+// todas as rotas /status exigem API key ou JWT e só veem os miners do
+// cliente (src/lib/auth.js); /health fica aberto. Rate limit por IP antes da
+// auth (trava força bruta de chaves) e por cliente depois, com orçamento
+// próprio para refresh=1 (src/lib/rateLimit.js)
+const limitRefresh = refreshRateLimit(wantsRefresh);
+
+// stream SSE: GET /status/stream?ids=1,2,3 (antes de /status/:id)
+app.get(
+  "/status/stream",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  maxIds(queryIds),
+  requireMinerScope(queryIds),
+  getStatusStream
+);
+
 // um só miner
-app.get("/status/:id", getMinerStatus);
+app.get(
+  "/status/:id",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  limitRefresh,
+  requireMinerScope(paramId),
+  getMinerStatus
+);
+
+// série de hashrate: GET /status/:id/hashrate?from=&to=&step=15m|1h|1d
+app.get(
+  "/status/:id/hashrate",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  requireMinerScope(paramId),
+  getMinerHashrate
+);
+
+// vários miners: GET /status?ids=1,2,3[&refresh=1]
+app.get(
+  "/status",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  limitRefresh,
+  maxIds(queryIds),
+  requireMinerScope(queryIds),
+  getMinersStatusMany
+);
+
+// saúde das credenciais de uma conta de pool: GET /accounts/:id/health
+app.get(
+  "/accounts/:id/health",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  requireAccountScope,
+  getAccountHealth
+);
+
+// debug: locks ativos dos workers
+app.get("/locks", ipRateLimit, requireAuth, requireAdmin, getLocks);
 
-// vários miners: GET /status?ids=1,2,3
-app.get("/status", getMinersStatusMany);
+// métricas Prometheus desta instância (scrape com uma API key admin como bearer)
+app.get("/metrics", ipRateLimit, requireAuth, requireAdmin, getMetrics);
 
 const PORT = Number(process.env.STATUS_PORT || 4000);
 
 app.listen(PORT, () => {
-  console.log(
-    `[status-server] listening on port ${PORT} (GET /status/:id, GET /status?ids=...)`
-  );
+  createLogger("status-server").info("listening", { port: PORT });
 });
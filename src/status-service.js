@@ -1,299 +1,156 @@
 // src/status-service.js
-import crypto from "crypto";
-import fetch from "node-fetch";
-import dns from "dns";
 import { sql } from "./config/db.js";
-
-/* ========= DNS / IPv4-first (melhor para muitas VPS) ========= */
-if (typeof dns.setDefaultResultOrder === "function") {
-  // força IPv4 primeiro, evita ficar pendurado em IPv6 marado
-  dns.setDefaultResultOrder("ipv4first");
-}
+import { getPoolAdapter, matchWorker } from "./pools/index.js";
+import { credentialsFor, groupKeyFor } from "./pools/accounts.js";
+import { tail } from "./pools/utils.js";
+import { createCache, memoryBackend, redisBackend } from "./lib/cache.js";
+import { createLogger } from "./lib/logger.js";
+import { queryIds } from "./lib/auth.js";
+import {
+  publishSnapshots,
+  readSnapshots,
+  snapshotMaxAgeMs,
+} from "./uptime/snapshot.js";
+import {
+  eventsSince,
+  publishStatusUpdates,
+  subscribe,
+} from "./events/statusStream.js";
+import {
+  algoForCoin,
+  displayUnitFor,
+  formatHashrate,
+  fromHs,
+} from "./pools/units.js";
+import {
+  STEPS,
+  autoStep,
+  getHashrateSeries,
+  parseStep,
+} from "./uptime/hashrate.js";
 
 /* ========= logger ========= */
-const TAG = "[status-service]";
-
-function log(...args) {
-  console.log(TAG, ...args);
-}
-
-function logWarn(...args) {
-  console.warn(TAG, ...args);
-}
-
-function logError(...args) {
-  console.error(TAG, ...args);
-}
-
-/* ========= cache ========= */
-const statusCache = new Map(); // key: minerId -> { data, ts }
-const CACHE_TTL_MS = 30 * 1000;
-
-/* ========= helpers básicos ========= */
-const toLower = (s) => String(s ?? "").toLowerCase();
-
-function clean(s) {
-  return String(s ?? "")
-    .normalize("NFKC")
-    .replace(/[\u200B-\u200D\uFEFF]/g, "")
-    .trim();
-}
-
-function tail(name) {
-  const s = String(name ?? "").trim().toLowerCase();
-  if (!s) return "";
-  const i = s.lastIndexOf(".");
-  return i >= 0 ? s.slice(i + 1) : s;
-}
-
-function tailKey(name) {
-  const t = tail(name);
-  const k = t.replace(/^0+/, "");
-  return k === "" ? "0" : k;
-}
-
-function normalizeStatus(v) {
-  const s = String(v ?? "").trim().toLowerCase();
-  const NEG = new Set([
-    "unactive",
-    "inactive",
-    "offline",
-    "down",
-    "dead",
-    "parado",
-    "desligado",
-    "inativa",
-  ]);
-  if (NEG.has(s)) return "offline";
-  const POS = new Set([
-    "active",
-    "online",
-    "alive",
-    "running",
-    "up",
-    "ok",
-    "ativo",
-    "ligado",
-    "ativa",
-  ]);
-  if (POS.has(s)) return "online";
-  return "offline";
-}
-
-function splitAccountWorker(name) {
-  const wn = clean(name);
-  const i = wn.indexOf(".");
-  if (i <= 0) return { account: "", worker: "" };
-  return { account: wn.slice(0, i), worker: wn.slice(i + 1) };
-}
-
-function mapAlgo(coin) {
-  const c = String(coin ?? "").trim().toUpperCase();
-  if (c === "BTC") return "sha256";
-  if (c === "LTC") return "scrypt";
-  if (c === "KAS" || c === "KASPA") return "kHeavyHash";
-  return "";
-}
-
-function f2slug(coin) {
-  const c = String(coin ?? "").trim().toUpperCase();
-  if (c === "BTC" || c === "BITCOIN") return "bitcoin";
-  if (c === "BCH") return "bitcoin-cash";
-  if (c === "BSV") return "bitcoin-sv";
-  if (c === "LTC" || c === "LITECOIN") return "litecoin";
-  if (c === "KAS" || c === "KASPA") return "kaspa";
-  if (c === "CFX") return "conflux";
-  if (c === "ETC") return "ethereum-classic";
-  if (c === "DASH") return "dash";
-  if (c === "SC" || c === "SIA") return "sia";
-  return c.toLowerCase();
-}
-
-/* ===== Mining-Dutch utils ===== */
-function mdSlug(coin) {
-  const c = String(coin ?? "").trim().toUpperCase();
-  if (c === "BTC") return "bitcoin";
-  if (c === "LTC") return "litecoin";
-  if (c === "DOGE") return "dogecoin";
-  return "";
-}
-
-function mdAlgo(coin) {
-  const c = String(coin ?? "").trim().toUpperCase();
-  if (c === "BTC") return "sha256";
-  if (c === "LTC" || c === "DOGE") return "scrypt";
-  return "";
-}
-
-function buildMDUrls({ coin, account_id, api_key }) {
-  const base = "https://www.mining-dutch.nl";
-  const algo = mdAlgo(coin);
-  const slug = mdSlug(coin);
-  const mk = (name) =>
-    `${base}/pools/${name}.php?page=api&action=getuserworkers&id=${encodeURIComponent(
-      account_id
-    )}&api_key=${encodeURIComponent(api_key)}`;
-
-  const urls = [];
-  if (algo) urls.push(mk(algo));
-  if (slug) urls.push(mk(slug));
-  if (algo === "sha256") urls.push(mk("scrypt"));
-  if (algo === "scrypt") urls.push(mk("sha256"));
-  if (!algo && !slug) {
-    urls.push(mk("sha256"));
-    urls.push(mk("scrypt"));
+const log = createLogger("status-service");
+
+/* ========= cache =========
+ * STATUS_CACHE_BACKEND = redis (partilhado entre réplicas, default) | memory
+ * STATUS_CACHE_TTL_SEC = 30            TTL por omissão
+ * STATUS_CACHE_TTLS    = '{"miningdutch":120}'   TTL por pool (segundos)
+ * STATUS_CACHE_STALE_SEC = 60          janela stale-while-revalidate
+ */
+const secs = (v, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+};
+
+const CACHE_TTL_MS = secs(process.env.STATUS_CACHE_TTL_SEC, 30) * 1000;
+const CACHE_STALE_MS = secs(process.env.STATUS_CACHE_STALE_SEC, 60) * 1000;
+
+const POOL_TTL_MS = (() => {
+  const out = new Map();
+  const raw = process.env.STATUS_CACHE_TTLS;
+  if (!raw) return out;
+  try {
+    for (const [pool, sec] of Object.entries(JSON.parse(raw) || {})) {
+      const n = Number(sec);
+      if (Number.isFinite(n) && n >= 0) out.set(pool.toLowerCase(), n * 1000);
+    }
+  } catch (e) {
+    log.error("STATUS_CACHE_TTLS não é JSON válido", { err: e });
   }
-  return urls;
-}
+  return out;
+})();
 
-function parseMDWorkersPayload(data) {
-  if (!data || typeof data !== "object") return [];
-  const top = data.getuserworkers;
-
-  const mapObjToArr = (miners) => {
-    if (Array.isArray(miners)) {
-      return miners.map((v, i) => ({
-        username: clean(v?.username ?? v?.worker ?? v?.name ?? String(i)),
-        alive: Number(v?.alive ?? 0),
-        hashrate: Number(v?.hashrate ?? v?.hash ?? 0),
-        status: clean(v?.status ?? ""),
-      }));
-    }
-    if (miners && typeof miners === "object") {
-      return Object.entries(miners).map(([k, v]) => ({
-        username: clean(v?.username ?? v?.worker ?? v?.name ?? k),
-        alive: Number(v?.alive ?? 0),
-        hashrate: Number(v?.hashrate ?? v?.hash ?? 0),
-        status: clean(v?.status ?? ""),
-      }));
-    }
-    return [];
-  };
+// falhas transitórias da nossa BD/código não ficam em cache
+const NO_CACHE_ERRORS = new Set(["db_error", "db_connect_timeout", "internal_error"]);
 
-  if (top && top.data)
-    return mapObjToArr(top.data.miners ?? top.data.workers ?? []);
-  const node = data?.data?.workers ?? data?.workers ?? data?.data ?? null;
-  if (node) return mapObjToArr(node);
-  return [];
+function statusTtlMs(data) {
+  if (NO_CACHE_ERRORS.has(data?.error)) return 0;
+  const id = getPoolAdapter(data?.source)?.id;
+  return (id && POOL_TTL_MS.get(id)) ?? CACHE_TTL_MS;
 }
 
-/* ========= HTTP util ========= */
-
-const DEFAULT_TIMEOUT_MS = 20_000;
-const SLOW_LOG_MS = 5_000;
-
-async function fetchJSON(url, opts = {}, retries = 1) {
-  let attempt = 0;
-  const timeoutMs =
-    typeof opts.timeout === "number" ? opts.timeout : DEFAULT_TIMEOUT_MS;
-
-  while (true) {
-    attempt++;
-    const controller = new AbortController();
-    const start = Date.now();
-    const to = setTimeout(() => controller.abort(), timeoutMs);
+const statusCache = createCache({
+  name: "status",
+  backend:
+    String(process.env.STATUS_CACHE_BACKEND || "redis").toLowerCase() === "memory"
+      ? memoryBackend()
+      : redisBackend({ prefix: "cache:status:" }),
+  ttlMs: statusTtlMs,
+  staleMs: CACHE_STALE_MS,
+});
+
+// falhas de configuração do miner: código de erro próprio, sem log de warning
+const CONFIG_REASONS = new Set([
+  "missing_config",
+  "bad_worker",
+  "bad_coin",
+  "unavailable",
+]);
+
+const SNAPSHOT_MAX_AGE_MS = snapshotMaxAgeMs();
+
+/** idade dos dados calculada no envio (a resposta pode vir da cache) */
+function withAge(data) {
+  if (!data?.as_of) return data;
+  const age = Math.max(0, Math.round((Date.now() - Date.parse(data.as_of)) / 1000));
+  return { ...data, data_age_sec: age };
+}
 
+/** snapshot do job de uptime utilizável para este miner (ou null) */
+async function snapshotFor(idStr, adapter, preloaded) {
+  let snap = preloaded;
+  if (snap === undefined) {
     try {
-      const res = await fetch(url, { ...opts, signal: controller.signal });
-      clearTimeout(to);
-
-      const ms = Date.now() - start;
-
-      let text = "";
-      try {
-        text = await res.text();
-      } catch {
-        // ignore
-      }
-
-      let json = null;
-      try {
-        json = text ? JSON.parse(text) : null;
-      } catch {
-        // ignore
-      }
-
-      if (ms > SLOW_LOG_MS) {
-        logWarn("[fetchJSON] slow", {
-          url,
-          status: res.status,
-          ms,
-          timeoutMs,
-        });
-      }
-
-      return { res, json, raw: text };
+      snap = (await readSnapshots([idStr])).get(idStr) ?? null;
     } catch (e) {
-      clearTimeout(to);
-      const ms = Date.now() - start;
-      const isAbort = e && e.name === "AbortError";
-
-      if (isAbort) {
-        if (attempt > retries) {
-          logWarn("[fetchJSON] timeout", { url, timeoutMs, ms, attempt });
-          return { res: null, json: null, raw: null };
-        }
-      } else {
-        if (attempt > retries) {
-          logError("[fetchJSON] fetch failed", {
-            url,
-            ms,
-            message: e?.message || String(e),
-          });
-          return { res: null, json: null, raw: null };
-        }
-      }
-
-      await new Promise((r) =>
-        setTimeout(r, 300 * attempt + Math.random() * 300)
-      );
+      log.warn("snapshot read failed", { id: idStr, message: e?.message });
+      snap = null;
     }
   }
+  if (!snap || snap.pool !== adapter.name) return null;
+  if (!(Date.now() - Date.parse(snap.at) < SNAPSHOT_MAX_AGE_MS)) return null;
+  return snap;
 }
 
-/* ========= Binance ========= */
-const BINANCE_BASES = [
-  process.env.BINANCE_BASE || "https://api.binance.com",
-  "https://api1.binance.com",
-  "https://api2.binance.com",
-  "https://api3.binance.com",
-];
-
-function signQuery(secret, params) {
-  const qs = new URLSearchParams(params).toString();
-  const sig = crypto.createHmac("sha256", secret).update(qs).digest("hex");
-  return `${qs}&signature=${sig}`;
+const directListWorkers = (adapter, credentials, coin) =>
+  adapter.listWorkers(credentials, coin);
+
+/**
+ * listWorkers partilhado dentro de um pedido batch: miners com as mesmas
+ * credenciais (mesma chave de grupo dos jobs) fazem uma só chamada à pool.
+ */
+function sharedListWorkers() {
+  const byGroup = new Map(); // groupKeyFor -> Promise<result>
+  return (adapter, credentials, coin) => {
+    const k = groupKeyFor(adapter, credentials, coin);
+    if (!byGroup.has(k)) byGroup.set(k, adapter.listWorkers(credentials, coin));
+    return byGroup.get(k);
+  };
 }
 
-async function pickBinanceBase() {
-  for (const base of BINANCE_BASES) {
-    const ping = await fetchJSON(
-      `${base}/api/v3/exchangeInfo`,
-      { timeout: 20_000 },
-      1
+/** leitura ao vivo → snapshot + SSE (não atrasa a resposta) */
+function recordLiveReading(rec, adapter, reading) {
+  publishSnapshots({
+    pool: adapter.name,
+    slot: null,
+    entries: [{ minerId: rec.id, ...reading }],
+  })
+    .then((changes) => publishStatusUpdates(changes, "refresh"))
+    .catch((e) =>
+      log.warn("live snapshot publish failed", { id: String(rec.id), message: e?.message })
     );
-    if (ping.res?.ok) return base;
-    if (ping.res && ping.res.status === 451) continue;
-  }
-  return null;
 }
 
-async function getServerTime(base) {
-  const r = await fetchJSON(`${base}/api/v3/time`, { timeout: 20_000 }, 1);
-  if (!r.res?.ok) return null;
-  const t = Number(r?.json?.serverTime);
-  return Number.isFinite(t) ? t : null;
-}
-
-async function signedGET({ base, path, apiKey, secretKey, params, skewMs = 0 }) {
-  const headers = { "X-MBX-APIKEY": apiKey };
-  const p = { ...params, timestamp: Date.now() + skewMs, recvWindow: 30_000 };
-  const url = `${base}${path}?` + signQuery(secretKey, p);
-  return fetchJSON(url, { headers, timeout: 20_000 }, 1);
-}
-
-/* ========= CORE: fetch status de UM miner, com rec já carregado opcional ========= */
-async function fetchMinerStatusNormalized(minerId, preloaded) {
+/* ========= CORE: fetch status de UM miner, com rec já carregado opcional =========
+ * Por omissão usa a snapshot do último job de uptime; live=true (refresh=1)
+ * ou snapshot ausente/velha → chama a pool.
+ */
+async function fetchMinerStatusNormalized(
+  minerId,
+  preloaded,
+  { live = false, snapshot, listWorkers = directListWorkers } = {}
+) {
   const idStr = String(minerId);
   let rec = preloaded;
 
@@ -301,9 +158,19 @@ async function fetchMinerStatusNormalized(minerId, preloaded) {
   if (!rec) {
     try {
       const rows = await sql`
-        SELECT id, api_key, secret_key, coin, pool, worker_name, status
-        FROM miners
-        WHERE id::text = ${idStr}
+        SELECT m.id, m.api_key, m.secret_key, m.pool, m.worker_name,
+               COALESCE(NULLIF(a.coin, ''), m.coin) AS coin,
+               a.id AS acc_id, a.account AS acc_account, a.api_key AS acc_api_key,
+               a.secret_key AS acc_secret_key, a.active AS acc_active,
+               m.status, p.degraded, p.ratio AS perf_ratio,
+               COALESCE(p.expected_hashrate, ms.expected_hashrate) AS expected_hashrate,
+               COALESCE(f.flapping, false) AS flapping
+        FROM miners m
+        LEFT JOIN pool_accounts a ON a.id = m.pool_account_id
+        LEFT JOIN miner_performance p ON p.miner_id = m.id
+        LEFT JOIN miner_model_specs ms ON ms.model = p.model
+        LEFT JOIN miner_flap_state f ON f.miner_id = m.id
+        WHERE m.id::text = ${idStr}
         LIMIT 1
       `;
       if (!rows.length) {
@@ -311,7 +178,7 @@ async function fetchMinerStatusNormalized(minerId, preloaded) {
       }
       rec = rows[0];
     } catch (e) {
-      logError("[fetchMinerStatusNormalized] db error", {
+      log.error("fetchMinerStatusNormalized: db error", {
         id: idStr,
         code: e?.code,
         message: e?.message,
@@ -349,364 +216,103 @@ async function fetchMinerStatusNormalized(minerId, preloaded) {
     };
   }
 
-  const api_key = rec.api_key;
-  const secret_key = rec.secret_key;
-  const coin = rec.coin;
-  const poolRaw = String(rec.pool ?? "").trim();
-  const poolLower = poolRaw.toLowerCase();
-
-  const worker_name_db = rec.worker_name ?? "";
-  const expectedTail = tail(worker_name_db);
-  const expectedKey = tailKey(worker_name_db);
-  if (!expectedTail) {
+  if (!tail(rec.worker_name)) {
     return { id: idStr, error: "no_worker_name" };
   }
 
-  let workers = [];
-  let source = null;
-
-  /* ====== POOLS ====== */
-
-  // ViaBTC
-  if (poolLower === "viabtc") {
-    source = "ViaBTC";
-    if (!api_key || !coin) {
-      return { id: idStr, error: "viabtc_missing_config" };
-    }
-
-    const url = `https://www.viabtc.net/res/openapi/v1/hashrate/worker?coin=${encodeURIComponent(
-      coin
-    )}`;
-    const { res: r, json: data } = await fetchJSON(
-      url,
-      {
-        headers: { "X-API-KEY": api_key },
-        timeout: 20_000, // VPS pode ter rota lenta para China
-      },
-      1
-    );
-    if (!r || !r.ok || !data || data.code !== 0) {
-      logWarn("[ViaBTC] bad response", {
-        id: idStr,
-        status: r?.status,
-        body: data,
-      });
-      return { id: idStr, error: "viabtc_error" };
-    }
-    const list = Array.isArray(data?.data?.data) ? data.data.data : [];
-    workers = list.map((w) => ({
-      worker_name: String(w.worker_name ?? "").trim(),
-      worker_status: w.worker_status,
-      hashrate_10min: Number(w.hashrate_10min ?? 0),
-    }));
+  const adapter = getPoolAdapter(rec.pool);
+  if (!adapter) {
+    return { id: idStr, error: "unsupported_pool" };
   }
 
-  // LitecoinPool
-  else if (poolLower === "litecoinpool") {
-    source = "LiteCoinPool";
-    if (!api_key) {
-      return { id: idStr, error: "ltcp_missing_api_key" };
-    }
-
-    const url = `https://www.litecoinpool.org/api?api_key=${encodeURIComponent(
-      api_key
-    )}`;
-    const { res: r, json: data } = await fetchJSON(
-      url,
-      { timeout: 15_000 },
-      1
-    );
-    if (!r || !r.ok || !data || !data.workers) {
-      logWarn("[LiteCoinPool] bad response", {
-        id: idStr,
-        status: r?.status,
-        bodyKeys: data && Object.keys(data),
-      });
-      return { id: idStr, error: "ltcp_error" };
-    }
-    workers = Object.entries(data.workers).map(([name, info]) => ({
-      worker_name: String(name ?? "").trim(),
-      worker_status: info.connected ? "active" : "unactive",
-      hashrate_10min: Number((info.hash_rate ?? 0) * 1000),
-    }));
+  // { online, hashrate, found, at, mode }
+  let reading = null;
+  if (!live) {
+    const snap = await snapshotFor(idStr, adapter, snapshot);
+    if (snap) reading = { ...snap, mode: "snapshot" };
   }
 
-  // Binance Pool
-  else if (poolLower === "binance") {
-    source = "Binance";
-    if (!api_key || !secret_key || !coin) {
-      return { id: idStr, error: "binance_missing_config" };
-    }
-
-    const { account } = splitAccountWorker(worker_name_db);
-    if (!account) return { id: idStr, error: "binance_bad_worker" };
-    const algo = mapAlgo(coin);
-    if (!algo) return { id: idStr, error: "binance_bad_coin" };
-    const base = await pickBinanceBase();
-    if (!base) return { id: idStr, error: "binance_unavailable" };
-
-    let L = await signedGET({
-      base,
-      path: "/sapi/v1/mining/worker/list",
-      apiKey: api_key,
-      secretKey: secret_key,
-      params: { algo, userName: account, pageIndex: 1, pageSize: 200, sort: 0 },
-    });
-
-    if (L.res && !L.res.ok && L.json?.code === -1021) {
-      const serverTime = await getServerTime(base);
-      if (serverTime) {
-        const skewMs = serverTime - Date.now();
-        L = await signedGET({
-          base,
-          path: "/sapi/v1/mining/worker/list",
-          apiKey: api_key,
-          secretKey: secret_key,
-          params: {
-            algo,
-            userName: account,
-            pageIndex: 1,
-            pageSize: 200,
-            sort: 0,
-          },
-          skewMs,
-        });
-      }
-    }
-
-    if (!L.res || !L.res.ok) {
-      logWarn("[Binance] list error", {
-        id: idStr,
-        status: L.res?.status,
-        body: L.json,
-      });
-      return { id: idStr, error: "binance_error" };
-    }
-
-    const listArr = Array.isArray(L.json?.data?.workerDatas)
-      ? L.json.data.workerDatas
-      : [];
-
-    workers = listArr.map((w) => ({
-      worker_name: String(w?.workerName ?? "").trim(),
-      worker_status: Number(w?.status ?? 0) === 1 ? "active" : "unactive",
-      hashrate_10min: Number(w?.hashRate ?? 0),
-    }));
-
-    // fallback detail se não encontrar na list
-    const seen = workers.some(
-      (w) =>
-        tail(w.worker_name) === expectedTail ||
-        tailKey(w.worker_name) === expectedKey
-    );
-
-    if (!seen) {
-      let D = await signedGET({
-        base,
-        path: "/sapi/v1/mining/worker/detail",
-        apiKey: api_key,
-        secretKey: secret_key,
-        params: { algo, userName: account, workerName: expectedTail },
-      });
-
-      if (D.res && !D.res.ok && D.json?.code === -1021) {
-        const serverTime = await getServerTime(base);
-        if (serverTime) {
-          const skewMs = serverTime - Date.now();
-          D = await signedGET({
-            base,
-            path: "/sapi/v1/mining/worker/detail",
-            apiKey: api_key,
-            secretKey: secret_key,
-            params: {
-              algo,
-              userName: account,
-              workerName: expectedTail,
-            },
-            skewMs,
-          });
-        }
-      }
+  if (!reading) {
+    const result = await listWorkers(adapter, credentialsFor(rec), rec.coin);
 
-      if (D.res && D.res.ok && D.json?.data) {
-        const d = D.json.data;
-        workers.push({
-          worker_name: String(d?.workerName ?? expectedTail),
-          worker_status:
-            Number(d?.status ?? 0) === 1 ? "active" : "unactive",
-          hashrate_10min: Number(d?.hashRate ?? 0),
+    if (!result.ok) {
+      if (!CONFIG_REASONS.has(result.reason)) {
+        log.warn("bad response", {
+          pool: adapter.name,
+          id: idStr,
+          status: result.status,
+          reason: result.reason,
         });
       }
+      const suffix = CONFIG_REASONS.has(result.reason) ? result.reason : "error";
+      return { id: idStr, error: `${adapter.errorPrefix}_${suffix}` };
     }
-  }
 
-  // F2Pool
-  else if (poolLower === "f2pool") {
-    source = "F2Pool";
-    const { account } = splitAccountWorker(worker_name_db);
-    if (!account) return { id: idStr, error: "f2_bad_worker" };
-
-    const currency = f2slug(coin || "BTC");
-    const url = "https://api.f2pool.com/v2/hash_rate/worker/list";
-    const headers = {
-      "Content-Type": "application/json",
-      "F2P-API-SECRET": api_key,
+    const my = matchWorker(result.workers, rec.worker_name);
+    reading = {
+      online: !!my?.online,
+      hashrate: my ? my.hashrate : 0,
+      found: !!my,
+      at: new Date().toISOString(),
+      mode: "live",
     };
-    const body = JSON.stringify({
-      currency,
-      mining_user_name: account,
-      page: 1,
-      size: 200,
-    });
-
-    const { res: r, json: data } = await fetchJSON(
-      url,
-      { method: "POST", headers, body, timeout: 15_000 },
-      1
-    );
-
-    if (
-      !r ||
-      !r.ok ||
-      (data && typeof data.code === "number" && data.code !== 0)
-    ) {
-      logWarn("[F2Pool] bad response", {
-        id: idStr,
-        status: r?.status,
-        body: data,
-      });
-      return { id: idStr, error: "f2_error" };
-    }
-
-    const arr = Array.isArray(data?.workers)
-      ? data.workers
-      : Array.isArray(data?.data?.workers)
-      ? data.data.workers
-      : Array.isArray(data?.data?.list)
-      ? data.data.list
-      : Array.isArray(data?.list)
-      ? data.list
-      : [];
-
-    workers = arr.map((item) => {
-      const hri =
-        item?.hash_rate_info ||
-        item?.hashrate_info ||
-        item?.hashRateInfo ||
-        {};
-      const name = clean(hri?.name ?? item?.name ?? item?.worker ?? "");
-      const hr = Number(
-        hri?.hash_rate ?? item?.hash_rate ?? item?.hashrate ?? 0
-      );
-      const last =
-        Number(
-          item?.last_share_at ??
-            item?.last_share ??
-            item?.last_share_time ??
-            0
-        );
-      const lastMs = Number.isFinite(last)
-        ? last > 1e11
-          ? last
-          : last * 1000
-        : 0;
-      const fresh = lastMs > 0 && Date.now() - lastMs < 90 * 60 * 1000;
-      const online = hr > 0 || fresh;
-      return {
-        worker_name: name,
-        worker_status: online ? "active" : "unactive",
-        hashrate_10min: hr,
-      };
-    });
+    recordLiveReading(rec, adapter, reading);
   }
 
-  // MiningDutch
-  else if (poolLower === "miningdutch") {
-    source = "MiningDutch";
-    const { account } = splitAccountWorker(worker_name_db);
-    if (!account) return { id: idStr, error: "md_bad_worker" };
-    if (!api_key) return { id: idStr, error: "md_missing_api_key" };
-
-    const urls = buildMDUrls({
-      coin,
-      account_id: account,
-      api_key,
-    });
-
-    let parsed = null;
-    for (const url of urls) {
-      const { res: r, json } = await fetchJSON(
-        url,
-        { timeout: 22_000 },
-        1
-      );
-      if (!r || !r.ok) continue;
-      const list = parseMDWorkersPayload(json);
-      if (Array.isArray(list)) {
-        parsed = list;
-        break;
-      }
-    }
-
-    if (!parsed) return { id: idStr, error: "md_error" };
-
-    workers = parsed.map((w, i) => ({
-      worker_name: String(w?.username ?? `w${i}`),
-      worker_status:
-        Number(w?.alive ?? 0) > 0 || Number(w?.hashrate ?? 0) > 0
-          ? "active"
-          : "unactive",
-      hashrate_10min: Number(w?.hashrate ?? 0),
-    }));
-  }
-
-  // Pool desconhecida
-  else {
-    return { id: idStr, error: "unsupported_pool" };
-  }
+  const hs = reading.hashrate;
+  const algo = algoForCoin(rec.coin);
+  const expected = Number(rec.expected_hashrate) || 0;
 
-  // pick worker por tail/key
-  const expectedTailStr = tail(rec.worker_name);
-  const expectedKeyStr = tailKey(rec.worker_name);
-  const my =
-    workers.find((w) => tail(w.worker_name) === expectedTailStr) ||
-    workers.find((w) => tailKey(w.worker_name) === expectedKeyStr) ||
-    null;
-
-  const worker_status = my ? normalizeStatus(my.worker_status) : "offline";
-  const hashrate_10min = my ? Number(my.hashrate_10min ?? 0) : 0;
+  // degraded = online, mas a média móvel ficou abaixo do esperado (job perf)
+  let workerStatus = reading.online ? "online" : "offline";
+  if (workerStatus === "online" && rec.degraded === true) workerStatus = "degraded";
+  // flapping: a leitura ao vivo não é fiável para o estado (job congelou o status)
+  if (rec.flapping === true) workerStatus = "flapping";
 
   return {
     id: idStr,
-    worker_status,
-    hashrate_10min,
+    worker_status: workerStatus,
+    // hashrate_10min em H/s (todas as pools); hashrate = valor + unidade do algo
+    hashrate_10min: hs,
+    hashrate: formatHashrate(hs, algo),
+    expected_hashrate: expected > 0 ? formatHashrate(expected, algo) : null,
+    flapping: rec.flapping === true,
+    performance_ratio:
+      rec.perf_ratio == null ? null : Number(Number(rec.perf_ratio).toFixed(3)),
     power: null,
     watts: null,
-    source,
-    worker_found: !!my,
+    source: adapter.name,
+    worker_found: reading.found,
+    // snapshot = última leitura do job de uptime; live = pool chamada agora
+    data_source: reading.mode,
+    as_of: reading.at,
   };
 }
 
+/** refresh=1 (ou header x-refresh: 1) → ignora cache/snapshot e vai à pool */
+export function wantsRefresh(req) {
+  return (
+    String(req.query.refresh ?? "") === "1" ||
+    String(req.headers["x-refresh"] ?? "") === "1"
+  );
+}
+
 /* ========= Single endpoint ========= */
 export async function getMinerStatus(req, res) {
   const id = String(req.params.id ?? req.params.minerId ?? "").trim();
   if (!id) return res.status(400).json({ error: "invalid_id" });
 
-  const wantRefresh =
-    String(req.query.refresh ?? "") === "1" ||
-    String(req.headers["x-refresh"] ?? "") === "1";
-
-  const cache = statusCache.get(id);
-  if (!wantRefresh && cache && Date.now() - cache.ts < CACHE_TTL_MS) {
-    return res.json(cache.data);
-  }
+  const wantRefresh = wantsRefresh(req);
 
   try {
-    const data = await fetchMinerStatusNormalized(id);
-    statusCache.set(id, { data, ts: Date.now() });
-    res.json(data);
+    const data = await statusCache.get(
+      id,
+      () => fetchMinerStatusNormalized(id, undefined, { live: wantRefresh }),
+      { refresh: wantRefresh }
+    );
+    res.json(withAge(data));
   } catch (e) {
-    logError("getMinerStatus error", {
+    log.error("getMinerStatus error", {
       id,
       message: e?.message,
       stack: e?.stack,
@@ -721,27 +327,27 @@ const STATUS_CONCURRENCY =
   Number(process.env.STATUS_CONCURRENCY || "3") || 3;
 
 export async function getMinersStatusMany(req, res) {
-  const raw = String(req.query.ids ?? "").trim();
-  if (!raw) return res.status(400).json({ error: "ids_vazios" });
+  const ids = queryIds(req);
+  if (!ids.length) return res.status(400).json({ error: "ids_vazios" });
 
-  const ids = raw
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
+  // refresh=1 → ignora cache e snapshots (vai ao vivo)
+  const wantRefresh = wantsRefresh(req);
 
-  const now = Date.now();
   const out = [];
   const toFetch = [];
 
-  // 1) tenta cache primeiro
-  for (const id of ids) {
-    const c = statusCache.get(id);
-    if (c && now - c.ts < CACHE_TTL_MS) {
-      out.push(c.data);
-    } else {
-      toFetch.push(id);
+  // 1) tenta cache primeiro (stale serve já e revalida em background)
+  const cached = wantRefresh
+    ? ids.map(() => null)
+    : await Promise.all(ids.map((id) => statusCache.peek(id)));
+  ids.forEach((id, i) => {
+    const c = cached[i];
+    if (!c) return toFetch.push(id);
+    if (c.state === "stale") {
+      statusCache.revalidate(id, () => fetchMinerStatusNormalized(id));
     }
-  }
+    out.push(c.data);
+  });
 
   // Se tudo veio de cache, respondemos já
   if (!toFetch.length) {
@@ -758,7 +364,7 @@ export async function getMinersStatusMany(req, res) {
           error: "no_cached_data",
         }
     );
-    return res.json(ordered);
+    return res.json(ordered.map(withAge));
   }
 
   // helper para fallback quando não conseguimos ir ao DB
@@ -784,12 +390,22 @@ export async function getMinersStatusMany(req, res) {
     let rows;
     try {
       rows = await sql`
-        SELECT id, api_key, secret_key, coin, pool, worker_name, status
-        FROM miners
-        WHERE id::text = ANY(${toFetch})
+        SELECT m.id, m.api_key, m.secret_key, m.pool, m.worker_name,
+               COALESCE(NULLIF(a.coin, ''), m.coin) AS coin,
+               a.id AS acc_id, a.account AS acc_account, a.api_key AS acc_api_key,
+               a.secret_key AS acc_secret_key, a.active AS acc_active,
+               m.status, p.degraded, p.ratio AS perf_ratio,
+               COALESCE(p.expected_hashrate, ms.expected_hashrate) AS expected_hashrate,
+               COALESCE(f.flapping, false) AS flapping
+        FROM miners m
+        LEFT JOIN pool_accounts a ON a.id = m.pool_account_id
+        LEFT JOIN miner_performance p ON p.miner_id = m.id
+        LEFT JOIN miner_model_specs ms ON ms.model = p.model
+        LEFT JOIN miner_flap_state f ON f.miner_id = m.id
+        WHERE m.id::text = ANY(${toFetch})
       `;
     } catch (e) {
-      logError("[getMinersStatusMany] db error", {
+      log.error("getMinersStatusMany: db error", {
         ids: toFetch,
         code: e?.code,
         message: e?.message,
@@ -801,12 +417,24 @@ export async function getMinersStatusMany(req, res) {
           : "db_error";
 
       const ordered = buildFallbackMany(errCode);
-      return res.json(ordered);
+      return res.json(ordered.map(withAge));
     }
 
     const mapMiner = new Map(rows.map((r) => [String(r.id), r]));
 
-    // 3) concorrência limitada (ajustável por env para VPS)
+    // snapshots dos jobs num só pedido (sem snapshot → live, 1 chamada por grupo)
+    let snaps = new Map();
+    if (!wantRefresh) {
+      try {
+        snaps = await readSnapshots(toFetch);
+      } catch (e) {
+        log.warn("getMinersStatusMany: snapshot read failed", { message: e?.message });
+      }
+    }
+
+    // 3) concorrência limitada (ajustável por env para VPS); chamadas à
+    //    pool partilhadas por grupo de credenciais
+    const listWorkers = sharedListWorkers();
     const CONC = STATUS_CONCURRENCY;
     const queue = [...toFetch];
     const outBatch = [];
@@ -820,11 +448,19 @@ export async function getMinersStatusMany(req, res) {
             if (!id) break;
             try {
               const rec = mapMiner.get(String(id)) || null;
-              const data = await fetchMinerStatusNormalized(id, rec);
-              statusCache.set(String(id), { data, ts: Date.now() });
+              const data = await statusCache.fill(
+                String(id),
+                () =>
+                  fetchMinerStatusNormalized(id, rec, {
+                    live: wantRefresh,
+                    snapshot: snaps.get(String(id)) ?? null,
+                    listWorkers,
+                  }),
+                { refresh: wantRefresh }
+              );
               outBatch.push(data);
             } catch (e) {
-              logError("[getMinersStatusMany] worker error", {
+              log.error("getMinersStatusMany: worker error", {
                 id,
                 message: e?.message,
               });
@@ -862,13 +498,179 @@ export async function getMinersStatusMany(req, res) {
         }
     );
 
-    return res.json(ordered);
+    return res.json(ordered.map(withAge));
   } catch (e) {
-    logError("getMinersStatusMany fatal error", {
+    log.error("getMinersStatusMany fatal error", {
       message: e?.message,
       stack: e?.stack,
     });
     const ordered = buildFallbackMany("internal_error");
-    return res.json(ordered);
+    return res.json(ordered.map(withAge));
+  }
+}
+
+/* ========= SSE: GET /status/stream?ids=1,2,3 =========
+ * event: snapshot → estado atual de cada miner (sem id; no arranque ou
+ *                   quando o Last-Event-ID já saiu do log)
+ * event: status   → mudança de status/hashrate (id = posição no log; o
+ *                   browser reenvia-o em Last-Event-ID ao religar)
+ * ": ping" a cada STATUS_STREAM_HEARTBEAT_SEC mantém proxies/LB abertos.
+ */
+const STREAM_HEARTBEAT_MS =
+  (Number(process.env.STATUS_STREAM_HEARTBEAT_SEC) || 15) * 1000;
+
+const streams = new Map(); // res aberto → close() (fechados no shutdown)
+
+export async function getStatusStream(req, res) {
+  const ids = queryIds(req);
+  if (!ids.length) return res.status(400).json({ error: "ids_vazios" });
+  const wanted = new Set(ids);
+
+  const lastRaw = req.headers["last-event-id"] ?? req.query.lastEventId;
+  const lastId = Number.parseInt(String(lastRaw ?? ""), 10);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  let closed = false;
+  const write = (chunk) => {
+    if (!closed && !res.writableEnded) res.write(chunk);
+  };
+
+  let lastSent = Number.isFinite(lastId) ? lastId : 0;
+  let ready = false;
+  const pending = [];
+
+  const send = (ev) => {
+    if (ev.reset) {
+      lastSent = 0; // log reiniciado: os ids novos recomeçam em 1
+      return;
+    }
+    if (ev.id <= lastSent || !wanted.has(ev.miner_id)) return;
+    lastSent = ev.id;
+    const { id, ...data } = ev;
+    write(`id: ${id}\nevent: status\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // subscreve antes do replay; o que chegar entretanto fica em pending
+  const unsubscribe = subscribe((ev) => (ready ? send(ev) : pending.push(ev)));
+  const heartbeat = setInterval(() => write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+
+  // cliente desligou ou shutdown: pára heartbeat e subscrição, não escreve mais
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    streams.delete(res);
+  };
+  streams.set(res, close);
+  req.on("close", close);
+
+  try {
+    let complete = false;
+    if (Number.isFinite(lastId)) {
+      const r = await eventsSince(lastId);
+      complete = r.complete;
+      // Last-Event-ID à frente do log (flush do Redis): snapshot e segue do seq atual
+      if (r.reset) lastSent = r.seq;
+      for (const ev of r.events) send(ev);
+    }
+    if (!complete) {
+      const snaps = await readSnapshots(ids);
+      for (const id of ids) {
+        const snap = snaps.get(id);
+        if (!snap) continue;
+        const data = {
+          miner_id: id,
+          worker_status: snap.online ? "online" : "offline",
+          hashrate_10min: snap.hashrate,
+          worker_found: snap.found,
+          as_of: snap.at,
+        };
+        write(`event: snapshot\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    }
+  } catch (e) {
+    log.warn("getStatusStream: replay failed", { message: e?.message });
+  }
+
+  ready = true;
+  for (const ev of pending.splice(0)) send(ev);
+}
+
+/** shutdown: fecha as ligações SSE (senão server.close() fica à espera) */
+export function closeStatusStreams() {
+  for (const [res, close] of [...streams]) {
+    close();
+    res.end();
+  }
+}
+
+/* ========= Hashrate endpoint ========= */
+
+// máximo de pontos por pedido (evita séries de 15m em intervalos de meses)
+const HASHRATE_MAX_POINTS = 3000;
+
+export async function getMinerHashrate(req, res) {
+  const id = String(req.params.id ?? "").trim();
+  if (!id) return res.status(400).json({ error: "invalid_id" });
+
+  const now = Date.now();
+  const toMs = req.query.to ? Date.parse(String(req.query.to)) : now;
+  const fromMs = req.query.from
+    ? Date.parse(String(req.query.from))
+    : toMs - STEPS["1d"];
+  if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs >= toMs) {
+    return res.status(400).json({ error: "invalid_range" });
+  }
+
+  let step = autoStep(fromMs, toMs);
+  if (req.query.step != null && req.query.step !== "") {
+    step = parseStep(req.query.step);
+    if (!step) return res.status(400).json({ error: "invalid_step" });
+  }
+  if ((toMs - fromMs) / STEPS[step] > HASHRATE_MAX_POINTS) {
+    return res.status(400).json({ error: "range_too_large", step });
+  }
+
+  try {
+    const rows = await sql`
+      SELECT id, coin FROM miners WHERE id::text = ${id} LIMIT 1
+    `;
+    if (!rows.length) return res.status(404).json({ id, error: "not_found" });
+
+    // alinha ao início do bucket (buckets horários/diários em UTC)
+    const from = new Date(
+      Math.floor(fromMs / STEPS[step]) * STEPS[step]
+    ).toISOString();
+    const to = new Date(toMs).toISOString();
+    const series = await getHashrateSeries(id, from, to, step);
+
+    // unidade única para a série inteira (escolhida pelo algo da coin)
+    const algo = algoForCoin(rows[0].coin);
+    const peak = series.reduce((acc, p) => Math.max(acc, p.max), 0);
+    const unit = displayUnitFor(algo, peak);
+    const points = series.map((p) => ({
+      t: p.t,
+      avg: fromHs(p.avg, unit),
+      min: fromHs(p.min, unit),
+      max: fromHs(p.max, unit),
+      samples: p.samples,
+    }));
+
+    res.json({ id, from, to, step, algo: algo || null, unit, points });
+  } catch (e) {
+    log.error("getMinerHashrate error", {
+      id,
+      code: e?.code,
+      message: e?.message,
+    });
+    res.status(500).json({ error: "internal_error" });
   }
 }
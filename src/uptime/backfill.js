@@ -0,0 +1,192 @@
+// src/uptime/backfill.js
+import { sql } from "../config/db.js";
+import { withLock } from "../lib/locks.js";
+import { listPoolAdapters, matchWorker } from "../pools/index.js";
+import { loadPoolGroups } from "../pools/accounts.js";
+import { createLogger } from "../lib/logger.js";
+import { recordBackfilledSlots, recordRun } from "./history.js";
+import { SLOT_MS, slotISO } from "./slots.js";
+
+const num = (v, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : def;
+};
+
+/**
+ * Backfill de slots perdidos (worker em baixo / deploy durante o tick).
+ *
+ * Buraco = slot sem linha em uptime_runs para a pool, entre a 1ª execução
+ * registada e há 2 slots atrás (o anterior pode ainda estar a correr), no
+ * máximo BACKFILL_MAX_HOURS para trás (e nunca além do histórico que a pool
+ * guarda, adapter.historyHours). Só pools com listWorkerHistory.
+ *
+ * Por slot e miner, pontos do histórico que cobrem o slot com granularidade
+ * <= BACKFILL_MAX_SPAN_MINUTES:
+ *   algum hashrate > 0 → online (+0.25h) · todos 0 → offline
+ * Sem pontos (ou worker ausente) não se grava nada e o slot fica em aberto:
+ * tenta-se de novo na próxima passagem até sair da janela. O mesmo para as
+ * contas que falharam: as outras gravam os seus slots e, na passagem
+ * seguinte, só se volta a pedir histórico para os miners/slots sem linha.
+ * O status atual do miner nunca é alterado (é passado).
+ */
+export function backfillConfig(env = process.env) {
+  return {
+    maxHours: num(env.BACKFILL_MAX_HOURS, 48),
+    maxSpanMinutes: num(env.BACKFILL_MAX_SPAN_MINUTES, 60),
+  };
+}
+
+export async function findGaps(poolId, { maxHours }, now = new Date()) {
+  const fromISO = slotISO(new Date(now.getTime() - maxHours * 3600 * 1000));
+  const lastISO = slotISO(new Date(now.getTime() - 2 * SLOT_MS));
+
+  const rows = await sql/*sql*/`
+    SELECT s AS slot
+    FROM (SELECT MIN(slot) AS first FROM uptime_runs WHERE pool = ${poolId}) b,
+         generate_series(
+           GREATEST(b.first, ${fromISO}::timestamptz),
+           ${lastISO}::timestamptz,
+           interval '15 minutes'
+         ) s
+    WHERE b.first IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM uptime_runs r WHERE r.pool = ${poolId} AND r.slot = s
+      )
+    ORDER BY s
+  `;
+  return rows.map((r) => new Date(r.slot).toISOString());
+}
+
+function slotFromSeries(series, slot, maxSpanMs) {
+  if (!series) return { state: "unknown", reason: "backfill_no_worker", hashrate: null };
+  const s0 = new Date(slot).getTime();
+  const s1 = s0 + SLOT_MS;
+  const pts = series.points.filter(
+    (p) => p.spanMs <= maxSpanMs && p.t < s1 && p.t + p.spanMs > s0
+  );
+  if (!pts.length) {
+    return { state: "unknown", reason: "backfill_no_data", hashrate: null };
+  }
+  const hr = Math.max(...pts.map((p) => p.hashrate));
+  return hr > 0
+    ? { state: "online", reason: "backfill_online", hashrate: hr }
+    : { state: "offline", reason: "backfill_offline", hashrate: 0 };
+}
+
+/** "<miner>|<slot ISO>" já gravados em miner_uptime_slots para estes buracos */
+async function slotsWritten(groups, gaps) {
+  const ids = groups.flatMap((g) => g.list.map((m) => String(m.id)));
+  if (!ids.length) return new Set();
+  const rows = await sql/*sql*/`
+    SELECT miner_id, slot FROM miner_uptime_slots
+    WHERE miner_id = ANY(${ids}::bigint[])
+      AND slot = ANY(${gaps}::timestamptz[])
+  `;
+  return new Set(rows.map((r) => `${r.miner_id}|${new Date(r.slot).toISOString()}`));
+}
+
+export async function backfillPool(adapter, cfg = backfillConfig(), now = new Date()) {
+  const log = createLogger(`backfill:${adapter.id}`);
+  const stats = { gaps: 0, groups: 0, groupErrors: 0, rows: 0, credited: 0, noData: 0 };
+
+  const maxHours = Math.min(cfg.maxHours, adapter.historyHours ?? Infinity);
+  const gaps = await findGaps(adapter.id, { ...cfg, maxHours }, now);
+  stats.gaps = gaps.length;
+  if (!gaps.length) return stats;
+
+  const groups = [];
+  let miners = 0;
+  for (const g of await loadPoolGroups(adapter)) {
+    const list = g.list.filter(
+      (m) => String(m.status ?? "").toLowerCase() !== "maintenance"
+    );
+    if (!list.length) continue;
+    groups.push({ ...g, list });
+    miners += list.length;
+  }
+  stats.groups = groups.length;
+
+  const maxSpanMs = cfg.maxSpanMinutes * 60 * 1000;
+  const done = await slotsWritten(groups, gaps);
+  const open = new Set(); // slots com algum miner sem dados/conta falhada → não fecham
+
+  for (const { credentials, coin, list } of groups) {
+    // só os slots que ainda faltam a algum miner do grupo (passagens anteriores)
+    const pending = gaps.filter((slot) => list.some((m) => !done.has(`${m.id}|${slot}`)));
+    if (!pending.length) continue;
+
+    const r = await adapter.listWorkerHistory(credentials, coin, {
+      from: pending[0],
+      to: new Date(new Date(pending[pending.length - 1]).getTime() + SLOT_MS).toISOString(),
+      workers: list.map((m) => m.worker_name),
+    });
+    if (!r.ok) {
+      for (const slot of pending) open.add(slot);
+      stats.groupErrors += 1;
+      log.warn("HISTORY FAILED", {
+        accountId: credentials.accountId ?? undefined,
+        account: credentials.account || undefined,
+        key: credentials.ref,
+        coin,
+        httpStatus: r.status,
+        reason: r.reason,
+      });
+      continue;
+    }
+
+    const rows = [];
+    for (const m of list) {
+      const series = matchWorker(r.series, m.worker_name);
+      for (const slot of pending) {
+        if (done.has(`${m.id}|${slot}`)) continue;
+        const o = slotFromSeries(series, slot, maxSpanMs);
+        if (o.state === "unknown") {
+          stats.noData += 1;
+          open.add(slot);
+          continue;
+        }
+        rows.push({
+          minerId: m.id,
+          slot,
+          state: o.state,
+          credited: o.state === "online",
+          hashrate: o.hashrate,
+          reason: o.reason,
+        });
+      }
+    }
+
+    const credited = await recordBackfilledSlots({ pool: adapter.name, rows });
+    stats.rows += rows.length;
+    stats.credited += credited.reduce((a, c) => a + c.slots, 0);
+  }
+
+  // fecha os buracos em que todas as contas responderam e todos os miners
+  // tinham dados (os outros ficam para a próxima passagem)
+  for (const slot of gaps) {
+    if (open.has(slot)) continue;
+    await recordRun({ pool: adapter.id, slot, miners, backfilled: true });
+  }
+
+  log.info("backfill", { ...stats, from: gaps[0], to: gaps[gaps.length - 1] });
+  return stats;
+}
+
+/** todas as pools com histórico; lock por pool para várias instâncias */
+export async function backfillAll(cfg = backfillConfig(), now = new Date()) {
+  const out = {};
+  for (const adapter of listPoolAdapters()) {
+    if (typeof adapter.listWorkerHistory !== "function") continue;
+
+    try {
+      const r = await withLock(`uptime:backfill:${adapter.id}`, { ttlSec: 120 }, () =>
+        backfillPool(adapter, cfg, now)
+      );
+      out[adapter.id] = r.acquired ? r.result : { skipped: true };
+    } catch (e) {
+      createLogger(`backfill:${adapter.id}`).error("backfill falhou", { err: e });
+      out[adapter.id] = { error: String(e?.message || e) };
+    }
+  }
+  return out;
+}
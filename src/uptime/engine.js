@@ -0,0 +1,537 @@
+// src/uptime/engine.js
+import cron from "node-cron";
+import { sql } from "../config/db.js";
+import { redis } from "../config/upstash.js";
+import { matchWorker } from "../pools/index.js";
+import { loadPoolGroups } from "../pools/accounts.js";
+import { recordCredentialCheck } from "../pools/health.js";
+import { sleep } from "../pools/utils.js";
+import { recordStatusEvents } from "../events/statusEvents.js";
+import { publishStatusUpdates } from "../events/statusStream.js";
+import { withLock } from "../lib/locks.js";
+import { counter, gauge, histogram } from "../lib/metrics.js";
+import { createLogger } from "../lib/logger.js";
+import { createFlapDetector } from "./flap.js";
+import { hasRun, recordRun, recordSlotResults } from "./history.js";
+import { resolvePolicy } from "./policy.js";
+import { publishSnapshots } from "./snapshot.js";
+import { minutesDiff, slotISO } from "./slots.js";
+
+/**
+ * Motor genérico de uptime (um por pool).
+ *
+ * O motor trata de: slot de 15 min, lock partilhado por slot
+ * (src/lib/locks.js; um slot lento não faz saltar o seguinte) +
+ * uptime_runs para não repetir o slot, agrupamento por
+ * credenciais, confirmação de offline (2ª leitura / tolerância / grace),
+ * flapping (src/uptime/flap.js) e persistência (+0.25h e status).
+ * Cada pool só fornece:
+ *  - adapter   → src/pools/* (listWorkers + normalizeCoin)
+ *  - classify  → worker normalizado → "online" | "offline" | "unknown"
+ *  - policy    → defaults das regras de confirmação (ver DEFAULT_POLICY);
+ *                 podem ser sobrepostos por env/BD (src/uptime/policy.js)
+ */
+
+/* =============================== */
+/* Defaults                        */
+/* =============================== */
+export const DEFAULT_POLICY = {
+  // leituras necessárias para confirmar offline (2 = relê a API antes de marcar)
+  reads: 1,
+  // slots seguidos offline (com BD online) antes de assumir OFFLINE
+  toleranceSlots: 1,
+  // erro/sem info: conta horas se esteve online há menos de X minutos
+  graceMinutes: 0,
+  // worker ausente da resposta da API: "offline" ou "unknown"
+  missing: "offline",
+  // horas só quando hashrate > 0 (status online pode vir só do estado)
+  hoursRequireHashrate: false,
+  // overrides do detetor de flapping (ver src/uptime/flap.js)
+  flap: {},
+};
+
+const defaultClassify = (w) => (w.online ? "online" : "offline");
+
+// falhas que são de configuração (repetir a chamada não resolve)
+const NO_RETRY_REASONS = new Set([
+  "missing_config",
+  "bad_worker",
+  "bad_coin",
+  "auth",
+]);
+
+/* ===== métricas (GET /metrics) ===== */
+const jobRuns = counter(
+  "uptime_job_runs_total",
+  "Execuções do job de uptime por resultado (ok | skipped | locked | error)",
+  ["pool", "result"]
+);
+const jobDuration = histogram(
+  "uptime_job_duration_seconds",
+  "Duração de um slot processado pelo job de uptime",
+  ["pool"]
+);
+const jobLastSuccess = gauge(
+  "uptime_job_last_success_timestamp_seconds",
+  "Fim da última execução bem sucedida (unix)",
+  ["pool"]
+);
+const minersProcessed = counter(
+  "uptime_miners_processed_total",
+  "Miners avaliados pelo job de uptime",
+  ["pool"]
+);
+const transitions = counter(
+  "uptime_status_transitions_total",
+  "Mudanças de status gravadas pelo job de uptime",
+  ["pool", "to"]
+);
+const groupErrors = counter(
+  "uptime_group_errors_total",
+  "Grupos (contas) com leitura ou escrita falhada",
+  ["pool"]
+);
+
+const affected = (r) => (Array.isArray(r) ? r.length : r?.count || 0);
+
+/* =============================== */
+/* Fábrica                         */
+/* =============================== */
+export function createUptimeJob({
+  adapter,
+  tag = adapter.id,
+  classify = defaultClassify,
+  policy: policyIn = {},
+  concurrency = 1,
+  lockTtlSec = 120, // estendido por heartbeat enquanto corre
+  schedule = "*/15 * * * *",
+}) {
+  const log = createLogger(`uptime:${tag}`);
+  const basePolicy = { ...DEFAULT_POLICY, ...policyIn };
+  const flap = createFlapDetector({ tag, pool: adapter.name, config: basePolicy.flap });
+  // política efetiva: resolvida em cada runSlot (env/BD por cima) e passada
+  // como argumento – slots diferentes podem correr ao mesmo tempo.
+  // policyKey só evita repetir a linha de log quando não muda.
+  let policyKey = null;
+  const keyLastOnline = (id) => `uptime:lastOnline:${adapter.id}:${id}`;
+  const keyOfflineStreak = (id) => `uptime:offlineStreak:${adapter.id}:${id}`;
+
+  /* ----- leitura da API (1 retry de grupo) ----- */
+  async function readWorkers(credentials, coin, stats, attempts = 2) {
+    let r = null;
+    for (let i = 0; i < attempts; i++) {
+      r = await adapter.listWorkers(credentials, coin);
+      stats.apiCalls += 1;
+      if (r.ok || NO_RETRY_REASONS.has(r.reason)) return r;
+      log.debug("READ RETRY", { try: i + 1, status: r.status, reason: r.reason });
+      if (i + 1 < attempts) await sleep(800 * (i + 1) + Math.random() * 200);
+    }
+    return r;
+  }
+
+  /** estado de um miner face a uma leitura: online | offline | unknown */
+  function stateFrom(workers, m, policy) {
+    const w = matchWorker(workers, m.worker_name);
+    if (!w) return { state: policy.missing, reason: "missing", worker: null };
+    const state = classify(w);
+    return { state, reason: `api_${state}`, worker: w };
+  }
+
+  /* ----- redis: grace / tolerância ----- */
+  async function withinGrace(id, slot, graceMinutes) {
+    try {
+      const last = await redis.get(keyLastOnline(id));
+      return !!last && minutesDiff(last, slot) <= graceMinutes;
+    } catch (e) {
+      log.warn("redis.get lastOnline failed", {
+        id,
+        error: e?.message || String(e),
+      });
+      return false;
+    }
+  }
+
+  /** miners online no slot: 1 pipeline para o grupo todo */
+  async function markOnline(ids, slot) {
+    if (!ids.length) return;
+    try {
+      const p = redis.pipeline();
+      for (const id of ids) {
+        p.set(keyLastOnline(id), slot, { ex: 7 * 24 * 60 * 60 });
+        p.del(keyOfflineStreak(id));
+      }
+      await p.exec();
+    } catch (e) {
+      log.warn("redis lastOnline/streak reset failed", {
+        miners: ids.length,
+        error: e?.message || String(e),
+      });
+    }
+  }
+
+  async function offlineStreak(id) {
+    try {
+      const val = await redis.incr(keyOfflineStreak(id));
+      return Number.isFinite(Number(val)) ? Number(val) : 1;
+    } catch (e) {
+      log.warn("redis.incr offlineStreak failed", {
+        id,
+        error: e?.message || String(e),
+      });
+      return 1;
+    }
+  }
+
+  async function clearOfflineTracking(id) {
+    try {
+      await redis.del(keyLastOnline(id), keyOfflineStreak(id));
+    } catch (e) {
+      log.warn("redis.del streak/lastOnline failed", {
+        id,
+        error: e?.message || String(e),
+      });
+    }
+  }
+
+  /* ----- classificação final de um grupo ----- */
+  async function classifyGroup({ list, credentials, coin, slot, stats, policy }) {
+    const trackLastOnline = policy.graceMinutes > 0 || policy.toleranceSlots > 1;
+    // id -> { state, reason, hashrate, credit }
+    const outcome = new Map();
+    const set = (m, state, reason, worker) =>
+      outcome.set(m.id, {
+        state,
+        reason,
+        hashrate: worker ? worker.hashrate : null,
+        credit: false,
+      });
+
+    const read1 = await readWorkers(credentials, coin, stats);
+    await recordCredentialCheck(adapter.id, credentials, read1);
+    if (!read1.ok) {
+      stats.groupErrors += 1;
+      log.warn("GROUP SKIPPED", {
+        accountId: credentials.accountId ?? undefined,
+        account: credentials.account || undefined,
+        key: credentials.ref,
+        coin,
+        httpStatus: read1.status,
+        reason: read1.reason,
+      });
+      for (const m of list) set(m, "unknown", `fetch_${read1.reason}`, null);
+    } else {
+      stats.workersSeen += read1.workers.length;
+      for (const m of list) {
+        const { state, reason, worker } = stateFrom(read1.workers, m, policy);
+        set(m, state, reason, worker);
+        outcome.get(m.id).seen = worker;
+      }
+
+      // 2ª leitura só para confirmar offline
+      const candidates = list.filter((m) => outcome.get(m.id).state === "offline");
+      if (policy.reads >= 2 && candidates.length) {
+        log.debug("2nd READ", { coin, candidates: candidates.map((m) => m.id) });
+        const read2 = await readWorkers(credentials, coin, stats, 1);
+        for (const m of candidates) {
+          if (!read2.ok) {
+            // falha na 2ª leitura → não marcamos offline ninguém deste grupo
+            set(m, "unknown", `confirm_${read2.reason}`, null);
+            continue;
+          }
+          const { state, reason, worker } = stateFrom(read2.workers, m, policy);
+          set(m, state, state === "offline" ? "confirmed_offline" : reason, worker);
+          outcome.get(m.id).seen = worker;
+        }
+      }
+    }
+
+    // tolerância / grace (só pools que o pedem)
+    const onlineIds = [];
+    for (const m of list) {
+      const o = outcome.get(m.id);
+      const dbOnline = String(m.status ?? "").toLowerCase() === "online";
+
+      if (o.state === "online") {
+        o.credit =
+          !policy.hoursRequireHashrate || Number(o.hashrate) > 0;
+        if (trackLastOnline) onlineIds.push(m.id);
+      } else if (o.state === "offline" && policy.toleranceSlots > 1) {
+        const streak = await offlineStreak(m.id);
+        if (streak < policy.toleranceSlots && dbOnline) {
+          // ainda em tolerância → mantém status e conta horas
+          o.state = "unknown";
+          o.reason = `tolerance_${streak}/${policy.toleranceSlots}`;
+          o.credit = true;
+        } else {
+          await clearOfflineTracking(m.id);
+        }
+      } else if (o.state === "unknown" && policy.graceMinutes > 0) {
+        if (await withinGrace(m.id, slot, policy.graceMinutes)) {
+          o.credit = true;
+          o.reason = `${o.reason}+grace`;
+        }
+      }
+    }
+    await markOnline(onlineIds, slot);
+
+    return outcome;
+  }
+
+  /* ----- snapshot para o /status + SSE (só miners lidos com sucesso) ----- */
+  async function publish(list, outcome, slot) {
+    const entries = [];
+    for (const m of list) {
+      const o = outcome.get(m.id);
+      if (!o || o.seen === undefined) continue;
+      entries.push({
+        minerId: m.id,
+        online: !!o.seen?.online,
+        hashrate: o.seen ? o.seen.hashrate : 0,
+        found: !!o.seen,
+      });
+    }
+    try {
+      const changes = await publishSnapshots({ pool: adapter.name, slot, entries });
+      await publishStatusUpdates(changes, "job");
+    } catch (e) {
+      log.warn("snapshot publish failed", { err: String(e?.message || e) });
+    }
+  }
+
+  /* ----- persistência ----- */
+  async function persist(list, outcome, slot, stats) {
+    // miners a oscilar: status congelado até estabilizarem
+    const held = await flap.observe(list, outcome, slot);
+    stats.flapping += held.size;
+
+    const onlineIds = [];
+    const offlineIds = [];
+    for (const [id, o] of outcome) {
+      if (held.has(id)) continue;
+      if (o.state === "online") onlineIds.push(id);
+      if (o.state === "offline") offlineIds.push(id);
+    }
+
+    // 1) Histórico do slot + horas online (idempotente por miner+slot,
+    //    ver history.js) — NÃO contar se em manutenção
+    try {
+      const creditedIds = await recordSlotResults({
+        slot,
+        pool: adapter.name,
+        results: list.map((m) => {
+          const o = outcome.get(m.id);
+          const maintenance =
+            String(m.status ?? "").toLowerCase() === "maintenance";
+          return {
+            minerId: m.id,
+            state: maintenance ? "maintenance" : o.state,
+            credited: o.credit && !maintenance,
+            hashrate: o.hashrate,
+            reason: o.reason,
+          };
+        }),
+      });
+      stats.hoursUpdated += creditedIds.length;
+    } catch (e) {
+      stats.groupErrors += 1;
+      log.error("SLOT WRITE FAILED", {
+        slot,
+        miners: list.length,
+        err: String(e?.message || e),
+      });
+    }
+
+    // 2) Status (IGNORAR manutenção; só altera quando diverge)
+    const changes = [];
+    const setStatus = async (ids, to) => {
+      if (!ids.length) return 0;
+      const r = await sql/*sql*/`
+        UPDATE miners m
+        SET status = ${to}
+        FROM (
+          SELECT id, status AS prev FROM miners WHERE id = ANY(${ids}) FOR UPDATE
+        ) p
+        WHERE m.id = p.id
+          AND m.status IS DISTINCT FROM ${to}
+          AND lower(COALESCE(m.status, '')) <> 'maintenance'
+        RETURNING m.id, p.prev
+      `;
+      for (const row of r) {
+        const o = outcome.get(row.id) ?? outcome.get(String(row.id));
+        changes.push({
+          minerId: row.id,
+          from: row.prev ?? null,
+          to,
+          evidence: { reason: o?.reason ?? null, hashrate: o?.hashrate ?? null },
+        });
+      }
+      return affected(r);
+    };
+    stats.statusToOnline += await setStatus(onlineIds, "online");
+    stats.statusToOffline += await setStatus(offlineIds, "offline");
+
+    // 3) Eventos de transição (+ entregas de webhook pendentes)
+    if (changes.length) {
+      try {
+        await recordStatusEvents({ slot, pool: adapter.name, changes });
+      } catch (e) {
+        log.error("STATUS EVENTS WRITE FAILED", {
+          slot,
+          changes: changes.length,
+          err: String(e?.message || e),
+        });
+      }
+    }
+  }
+
+  /* ----- job ----- */
+  async function runOnce() {
+    const sISO = slotISO();
+    // lock por slot: se o slot anterior ainda estiver a correr este avança
+    const r = await withLock(
+      `uptime:${tag}:${sISO}`,
+      { ttlSec: lockTtlSec, job: `uptime:${tag}@${sISO}` },
+      () => runSlot(sISO)
+    );
+    if (!r.acquired) {
+      jobRuns.inc({ pool: adapter.id, result: "locked" });
+      log.info("lock ativo – ignorado nesta instância", { slot: sISO });
+      return { ok: true, skipped: true };
+    }
+    const result = r.result.ok ? (r.result.skipped ? "skipped" : "ok") : "error";
+    jobRuns.inc({ pool: adapter.id, result });
+    return r.result;
+  }
+
+  async function runSlot(sISO) {
+    const t0 = Date.now();
+
+    // o lock é libertado no fim: outra instância pode chegar no mesmo slot
+    try {
+      if (await hasRun(adapter.id, sISO)) {
+        log.info("slot já processado – ignorado", { slot: sISO });
+        return { ok: true, skipped: true };
+      }
+    } catch (e) {
+      log.warn("uptime_runs check failed", { err: String(e?.message || e) });
+    }
+
+    const policy = await resolvePolicy(adapter.id, basePolicy);
+    const { flap: _flap, ...effective } = policy;
+    if (JSON.stringify(effective) !== policyKey) {
+      policyKey = JSON.stringify(effective);
+      log.info("policy", effective);
+    }
+
+    const stats = {
+      groups: 0,
+      miners: 0,
+      apiCalls: 0,
+      workersSeen: 0,
+      groupErrors: 0,
+      hoursUpdated: 0,
+      statusToOnline: 0,
+      statusToOffline: 0,
+      flapping: 0,
+    };
+
+    try {
+      // uma leitura por conta (pool_accounts) ou por credenciais da linha
+      const groups = await loadPoolGroups(adapter);
+      stats.groups = groups.length;
+      stats.miners = groups.reduce((a, g) => a + g.list.length, 0);
+
+      const processGroup = async ({ credentials, coin, list }) => {
+        try {
+          const outcome = await classifyGroup({
+            list,
+            credentials,
+            coin,
+            slot: sISO,
+            stats,
+            policy,
+          });
+          log.debug("GROUP RESULT", {
+            account: credentials.account || undefined,
+            key: credentials.ref,
+            coin,
+            miners: list.length,
+            outcome: Object.fromEntries(
+              [...outcome].map(([id, o]) => [id, `${o.state}:${o.reason}`])
+            ),
+          });
+          await persist(list, outcome, sISO, stats);
+          await publish(list, outcome, sISO);
+        } catch (err) {
+          stats.groupErrors += 1;
+          log.error("GROUP ERROR", {
+            account: credentials.account || undefined,
+            coin,
+            err: String(err?.message || err),
+          });
+        }
+      };
+
+      // Pool de concorrência
+      const queue = [...groups];
+      const workers = [];
+      for (let i = 0; i < Math.max(1, concurrency); i++) {
+        workers.push(
+          (async () => {
+            while (queue.length) await processGroup(queue.shift());
+          })()
+        );
+      }
+      await Promise.all(workers);
+
+      try {
+        await recordRun({ pool: adapter.id, slot: sISO, miners: stats.miners });
+      } catch (e) {
+        log.warn("run record failed", { err: String(e?.message || e) });
+      }
+
+      const pool = { pool: adapter.id };
+      jobDuration.observe(pool, (Date.now() - t0) / 1000);
+      jobLastSuccess.set(pool, Math.floor(Date.now() / 1000));
+      minersProcessed.inc(pool, stats.miners);
+      transitions.inc({ ...pool, to: "online" }, stats.statusToOnline);
+      transitions.inc({ ...pool, to: "offline" }, stats.statusToOffline);
+      groupErrors.inc(pool, stats.groupErrors);
+
+      log.info("slot processado", { slot: sISO, ...stats, ms: Date.now() - t0 });
+      return {
+        ok: true,
+        updated: stats.hoursUpdated,
+        statusChanged: stats.statusToOnline + stats.statusToOffline,
+        statusToOnline: stats.statusToOnline,
+        statusToOffline: stats.statusToOffline,
+        flapping: stats.flapping,
+        groups: stats.groups,
+        miners: stats.miners,
+        api: stats.apiCalls,
+        errs: stats.groupErrors,
+      };
+    } catch (e) {
+      log.error("slot falhou", { slot: sISO, err: e });
+      return { ok: false, error: String(e?.message || e) };
+    }
+  }
+
+  function start() {
+    const task = cron.schedule(
+      schedule,
+      async () => {
+        try {
+          await runOnce();
+        } catch (e) {
+          log.error("tick error", { err: e });
+        }
+      },
+      { timezone: "Europe/Lisbon" }
+    );
+    log.info("agendado", { pool: adapter.name, schedule });
+    return task;
+  }
+
+  return { runOnce, start };
+}
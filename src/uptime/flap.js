@@ -0,0 +1,166 @@
+// src/uptime/flap.js
+import { sql } from "../config/db.js";
+import { redis } from "../config/upstash.js";
+import { recordStatusEvents } from "../events/statusEvents.js";
+import { createLogger } from "../lib/logger.js";
+
+const num = (v, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : def;
+};
+
+/**
+ * Detetor de flapping (partilhado por todas as pools).
+ *
+ * Por miner guarda em Redis o último estado observado (online/offline) e os
+ * instantes das mudanças. Com >= maxTransitions mudanças em windowMinutes o
+ * miner passa a "flapping": o status na BD fica congelado (sem eventos nem
+ * alertas) até não haver mudanças durante stableMinutes.
+ *
+ * "unknown" não conta como observação (não mexe no último estado).
+ */
+export const DEFAULT_FLAP = {
+  windowMinutes: num(process.env.FLAP_WINDOW_MINUTES, 120),
+  maxTransitions: num(process.env.FLAP_MAX_TRANSITIONS, 4),
+  stableMinutes: num(process.env.FLAP_STABLE_MINUTES, 60),
+};
+
+const keyFlap = (id) => `uptime:flap:${id}`;
+
+function parseState(raw) {
+  if (!raw) return { last: null, changes: [], flapping: false };
+  const s = typeof raw === "string" ? JSON.parse(raw) : raw;
+  return {
+    last: s.last ?? null,
+    changes: Array.isArray(s.changes) ? s.changes : [],
+    flapping: !!s.flapping,
+  };
+}
+
+async function saveFlag(id, flapping, transitions, slot) {
+  await sql/*sql*/`
+    INSERT INTO miner_flap_state (miner_id, flapping, since, transitions, updated_at)
+    VALUES (${id}, ${flapping}, ${flapping ? slot : null}, ${transitions}, now())
+    ON CONFLICT (miner_id) DO UPDATE
+    SET flapping = EXCLUDED.flapping,
+        since = EXCLUDED.since,
+        transitions = EXCLUDED.transitions,
+        updated_at = now()
+  `;
+}
+
+export function createFlapDetector({ tag, pool, config = {} }) {
+  const cfg = { ...DEFAULT_FLAP, ...config };
+  const log = createLogger(`flap:${tag}`);
+  const ttlSec = (cfg.windowMinutes + cfg.stableMinutes) * 60 + 3600;
+
+  /**
+   * Regista as observações do slot e devolve os ids cujo status deve ficar
+   * congelado (flapping). Falhas de Redis/BD nunca bloqueiam o job: nesse
+   * caso o miner segue o fluxo normal.
+   *
+   * list: linhas de miners ({ id, status }); outcome: Map id → { state, reason }
+   */
+  async function observe(list, outcome, slot) {
+    const hold = new Set();
+    const entered = [];
+    const slotMs = new Date(slot).getTime();
+
+    const observed = list.filter((m) => {
+      const o = outcome.get(m.id);
+      if (!o || (o.state !== "online" && o.state !== "offline")) return false;
+      return String(m.status ?? "").toLowerCase() !== "maintenance";
+    });
+    if (!observed.length) return hold;
+
+    // 1 MGET + 1 pipeline por grupo (Upstash é REST: nada de ida e volta por miner)
+    let raw;
+    try {
+      raw = await redis.mget(...observed.map((m) => keyFlap(m.id)));
+    } catch (e) {
+      log.warn("flap tracking failed", { miners: observed.length, error: e?.message || String(e) });
+      return hold;
+    }
+
+    const next = [];
+    const p = redis.pipeline();
+    observed.forEach((m, i) => {
+      const o = outcome.get(m.id);
+      let s;
+      try {
+        s = parseState(raw[i]);
+      } catch {
+        s = parseState(null); // valor corrompido: recomeça
+      }
+      if (s.last && s.last !== o.state) s.changes.push(slotMs);
+      s.last = o.state;
+      s.changes = s.changes.filter((t) => slotMs - t < cfg.windowMinutes * 60_000);
+
+      const wasFlapping = s.flapping;
+      if (!s.flapping && s.changes.length >= cfg.maxTransitions) {
+        s.flapping = true;
+      } else if (s.flapping) {
+        const recent = s.changes.filter((t) => slotMs - t < cfg.stableMinutes * 60_000);
+        if (!recent.length) s.flapping = false;
+      }
+
+      p.set(keyFlap(m.id), JSON.stringify(s), { ex: ttlSec });
+      next.push({ m, o, s, wasFlapping });
+    });
+
+    try {
+      await p.exec();
+    } catch (e) {
+      log.warn("flap tracking failed", { miners: observed.length, error: e?.message || String(e) });
+      return hold;
+    }
+
+    for (const { m, o, s, wasFlapping } of next) {
+      if (s.flapping !== wasFlapping) {
+        try {
+          await saveFlag(m.id, s.flapping, s.changes.length, slot);
+        } catch (e) {
+          log.warn("flap state write failed", {
+            id: String(m.id),
+            error: e?.message || String(e),
+          });
+        }
+        if (s.flapping) entered.push({ m, transitions: s.changes.length });
+        log.warn(s.flapping ? "FLAPPING" : "STABLE", {
+          id: String(m.id),
+          transitions: s.changes.length,
+          windowMin: cfg.windowMinutes,
+        });
+      }
+
+      if (s.flapping) {
+        hold.add(m.id);
+        o.reason = `${o.reason}+flapping`;
+      }
+    }
+
+    if (entered.length) {
+      try {
+        await recordStatusEvents({
+          slot,
+          pool,
+          changes: entered.map(({ m, transitions }) => ({
+            minerId: m.id,
+            from: m.status ?? null,
+            to: "flapping",
+            evidence: { transitions, windowMinutes: cfg.windowMinutes },
+          })),
+        });
+      } catch (e) {
+        log.error("FLAP EVENTS WRITE FAILED", {
+          slot,
+          err: String(e?.message || e),
+        });
+      }
+    }
+
+    return hold;
+  }
+
+  return { observe };
+}
@@ -0,0 +1,136 @@
+// src/uptime/hashrate.js
+import { sql } from "../config/db.js";
+
+/**
+ * Série temporal de hashrate por miner.
+ *  - "15m": amostra por slot (miner_uptime_slots.hashrate, gravada pelos jobs)
+ *  - "1h" / "1d": médias em miner_hashrate_hourly / miner_hashrate_daily,
+ *    recalculadas pelo job de rollup (src/jobs/hashrateRollup.js)
+ *
+ * Slots sem leitura da pool (hashrate NULL) não entram nas médias;
+ * slots offline (hashrate 0) entram.
+ */
+
+export const STEPS = {
+  "15m": 15 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+const STEP_ALIASES = {
+  slot: "15m",
+  "15min": "15m",
+  hour: "1h",
+  hourly: "1h",
+  day: "1d",
+  daily: "1d",
+};
+
+export function parseStep(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (STEPS[s]) return s;
+  return STEP_ALIASES[s] || null;
+}
+
+/** step por omissão: ~≤ 200 pontos para o intervalo pedido */
+export function autoStep(fromMs, toMs) {
+  const span = toMs - fromMs;
+  if (span <= 2 * STEPS["1d"]) return "15m";
+  if (span <= 31 * STEPS["1d"]) return "1h";
+  return "1d";
+}
+
+/* ===== rollups (idempotentes: recalculam os buckets do intervalo) ===== */
+
+export async function rollupHourly(fromISO, toISO) {
+  const r = await sql/*sql*/`
+    INSERT INTO miner_hashrate_hourly
+      (miner_id, bucket, avg_hashrate, min_hashrate, max_hashrate, samples)
+    SELECT miner_id,
+           date_trunc('hour', slot AT TIME ZONE 'UTC') AT TIME ZONE 'UTC',
+           AVG(hashrate), MIN(hashrate), MAX(hashrate), COUNT(*)
+    FROM miner_uptime_slots
+    WHERE hashrate IS NOT NULL
+      AND slot >= date_trunc('hour', ${fromISO}::timestamptz AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+      AND slot < ${toISO}::timestamptz
+    GROUP BY 1, 2
+    ON CONFLICT (miner_id, bucket) DO UPDATE
+      SET avg_hashrate = EXCLUDED.avg_hashrate,
+          min_hashrate = EXCLUDED.min_hashrate,
+          max_hashrate = EXCLUDED.max_hashrate,
+          samples = EXCLUDED.samples
+    RETURNING miner_id
+  `;
+  return Array.isArray(r) ? r.length : r?.count || 0;
+}
+
+export async function rollupDaily(fromISO, toISO) {
+  const r = await sql/*sql*/`
+    INSERT INTO miner_hashrate_daily
+      (miner_id, bucket, avg_hashrate, min_hashrate, max_hashrate, samples)
+    SELECT miner_id,
+           date_trunc('day', slot AT TIME ZONE 'UTC') AT TIME ZONE 'UTC',
+           AVG(hashrate), MIN(hashrate), MAX(hashrate), COUNT(*)
+    FROM miner_uptime_slots
+    WHERE hashrate IS NOT NULL
+      AND slot >= date_trunc('day', ${fromISO}::timestamptz AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+      AND slot < ${toISO}::timestamptz
+    GROUP BY 1, 2
+    ON CONFLICT (miner_id, bucket) DO UPDATE
+      SET avg_hashrate = EXCLUDED.avg_hashrate,
+          min_hashrate = EXCLUDED.min_hashrate,
+          max_hashrate = EXCLUDED.max_hashrate,
+          samples = EXCLUDED.samples
+    RETURNING miner_id
+  `;
+  return Array.isArray(r) ? r.length : r?.count || 0;
+}
+
+/* ===== leitura ===== */
+
+/** pontos [{ t, avg, min, max, samples }] para [from, to) */
+export async function getHashrateSeries(minerId, fromISO, toISO, step) {
+  const id = String(minerId);
+  let rows;
+
+  if (step === "15m") {
+    rows = await sql/*sql*/`
+      SELECT slot AS t, hashrate AS avg, hashrate AS min, hashrate AS max,
+             1 AS samples
+      FROM miner_uptime_slots
+      WHERE miner_id = ${id}::bigint
+        AND hashrate IS NOT NULL
+        AND slot >= ${fromISO}::timestamptz
+        AND slot < ${toISO}::timestamptz
+      ORDER BY slot
+    `;
+  } else if (step === "1h") {
+    rows = await sql/*sql*/`
+      SELECT bucket AS t, avg_hashrate AS avg, min_hashrate AS min,
+             max_hashrate AS max, samples
+      FROM miner_hashrate_hourly
+      WHERE miner_id = ${id}::bigint
+        AND bucket >= ${fromISO}::timestamptz
+        AND bucket < ${toISO}::timestamptz
+      ORDER BY bucket
+    `;
+  } else {
+    rows = await sql/*sql*/`
+      SELECT bucket AS t, avg_hashrate AS avg, min_hashrate AS min,
+             max_hashrate AS max, samples
+      FROM miner_hashrate_daily
+      WHERE miner_id = ${id}::bigint
+        AND bucket >= ${fromISO}::timestamptz
+        AND bucket < ${toISO}::timestamptz
+      ORDER BY bucket
+    `;
+  }
+
+  return rows.map((r) => ({
+    t: new Date(r.t).toISOString(),
+    avg: Number(r.avg),
+    min: Number(r.min),
+    max: Number(r.max),
+    samples: Number(r.samples),
+  }));
+}
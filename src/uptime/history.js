@@ -0,0 +1,99 @@
+// src/uptime/history.js
+import { sql } from "../config/db.js";
+import { SLOT_HOURS } from "./slots.js";
+
+/**
+ * Histórico append-only de uptime: 1 linha por (miner, slot de 15 min).
+ *
+ * A linha é também o registo de crédito: numa só statement insere o
+ * histórico e soma +0.25h só pelas linhas realmente inseridas com
+ * credited = true. Se o mesmo slot for processado 2x (retry, restart,
+ * 2 réplicas, backfill) fica a 1ª linha e as horas nunca duplicam.
+ *
+ * rows: [{ minerId, slot, state, credited, hashrate, reason }]
+ * Devolve [{ minerId, slots }] efetivamente creditados.
+ */
+async function insertSlotsAndCredit({ pool, rows, backfilled }) {
+  if (!rows.length) return [];
+
+  const hashrate = (v) =>
+    v == null || !Number.isFinite(Number(v)) ? null : Number(v);
+
+  const r = await sql/*sql*/`
+    WITH ins AS (
+      INSERT INTO miner_uptime_slots
+        (miner_id, slot, state, credited, hashrate, pool, reason, backfilled)
+      SELECT u.miner_id, u.slot, u.state, u.credited, u.hashrate, ${pool}, u.reason,
+             ${backfilled}
+      FROM unnest(
+        ${rows.map((r) => String(r.minerId))}::bigint[],
+        ${rows.map((r) => r.slot)}::timestamptz[],
+        ${rows.map((r) => r.state)}::text[],
+        ${rows.map((r) => !!r.credited)}::boolean[],
+        ${rows.map((r) => hashrate(r.hashrate))}::float8[],
+        ${rows.map((r) => r.reason ?? null)}::text[]
+      ) AS u(miner_id, slot, state, credited, hashrate, reason)
+      ON CONFLICT (miner_id, slot) DO NOTHING
+      RETURNING miner_id, credited
+    ),
+    per_miner AS (
+      SELECT miner_id, COUNT(*) AS slots FROM ins WHERE credited GROUP BY miner_id
+    )
+    UPDATE miners m
+    SET total_horas_online = COALESCE(m.total_horas_online, 0) + ${SLOT_HOURS}::numeric * p.slots
+    FROM per_miner p
+    WHERE m.id = p.miner_id
+    RETURNING m.id, p.slots
+  `;
+  return r.map((row) => ({ minerId: String(row.id), slots: Number(row.slots) }));
+}
+
+/**
+ * Resultado de um slot ao vivo. Manutenção deve vir com credited = false
+ * (quem chama decide com base no status lido).
+ *
+ * results: [{ minerId, state, credited, hashrate, reason }]
+ * Devolve os ids (string) creditados neste slot.
+ */
+export async function recordSlotResults({ slot, pool, results }) {
+  const credited = await insertSlotsAndCredit({
+    pool,
+    rows: results.map((r) => ({ ...r, slot })),
+    backfilled: false,
+  });
+  return credited.map((c) => c.minerId);
+}
+
+/** slots reconstruídos pelo backfill (backfilled = true), vários slots por miner */
+export async function recordBackfilledSlots({ pool, rows }) {
+  return insertSlotsAndCredit({ pool, rows, backfilled: true });
+}
+
+/** execução concluída de um job (pool, slot); o backfill procura os buracos */
+export async function recordRun({ pool, slot, miners = 0, backfilled = false }) {
+  await sql/*sql*/`
+    INSERT INTO uptime_runs (pool, slot, miners, backfilled)
+    VALUES (${pool}, ${slot}, ${miners}, ${backfilled})
+    ON CONFLICT (pool, slot) DO NOTHING
+  `;
+}
+
+/** true se o slot já foi processado (por esta ou outra instância) */
+export async function hasRun(pool, slot) {
+  const [r] = await sql/*sql*/`
+    SELECT 1 AS x FROM uptime_runs WHERE pool = ${pool} AND slot = ${slot}
+  `;
+  return !!r;
+}
+
+/** slots de um miner em [from, to) — ex.: "esteve online dia 3 entre 10h e 11h?" */
+export async function getMinerSlots(minerId, fromISO, toISO) {
+  return sql/*sql*/`
+    SELECT slot, state, credited, hashrate, pool, reason
+    FROM miner_uptime_slots
+    WHERE miner_id = ${String(minerId)}::bigint
+      AND slot >= ${fromISO}::timestamptz
+      AND slot < ${toISO}::timestamptz
+    ORDER BY slot
+  `;
+}
@@ -0,0 +1,93 @@
+// src/uptime/performance.js
+import { sql } from "../config/db.js";
+
+const num = (v, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : def;
+};
+
+/**
+ * Configuração (env):
+ *  - PERF_WINDOW_HOURS        janela da média móvel (default 6h)
+ *  - PERF_DEGRADED_RATIO      abaixo disto (média/esperado) ⇒ degraded (0.7)
+ *  - PERF_RECOVER_RATIO       acima disto volta a normal (ratio + 0.05)
+ *  - PERF_MIN_SAMPLES         slots online mínimos na janela (4 = 1h)
+ */
+export function performanceConfig(env = process.env) {
+  const ratio = num(env.PERF_DEGRADED_RATIO, 0.7);
+  return {
+    windowHours: num(env.PERF_WINDOW_HOURS, 6),
+    ratio,
+    recoverRatio: Math.max(ratio, num(env.PERF_RECOVER_RATIO, ratio + 0.05)),
+    minSamples: num(env.PERF_MIN_SAMPLES, 4),
+  };
+}
+
+/**
+ * Recalcula avg/ratio/degraded. Faz upsert em miner_performance para todos
+ * os miners com slots na janela (avg_hashrate fica disponível mesmo sem
+ * hashrate esperado) e para os que já lá estão (modelo/esperado definidos
+ * com npm run performance). Só há ratio/degraded com hashrate esperado.
+ * Só conta slots "online": um miner offline não é "degraded".
+ * Devolve as mudanças de estado [{ minerId, degraded, ratio }].
+ */
+export async function evaluatePerformance(cfg = performanceConfig()) {
+  const rows = await sql/*sql*/`
+    WITH observed AS (
+      SELECT miner_id, AVG(hashrate) AS avg_hr, COUNT(*) AS samples
+      FROM miner_uptime_slots
+      WHERE slot >= now() - make_interval(hours => ${cfg.windowHours}::int)
+        AND state = 'online'
+        AND hashrate IS NOT NULL
+      GROUP BY miner_id
+    ),
+    base AS (
+      SELECT COALESCE(p.miner_id, o.miner_id) AS miner_id,
+             NULLIF(COALESCE(p.expected_hashrate, s.expected_hashrate), 0) AS expected,
+             COALESCE(p.degraded, false) AS was_degraded,
+             o.avg_hr, o.samples
+      FROM miner_performance p
+      FULL JOIN observed o ON o.miner_id = p.miner_id
+      LEFT JOIN miner_model_specs s ON s.model = p.model
+    ),
+    computed AS (
+      SELECT miner_id, was_degraded, avg_hr,
+             avg_hr / expected AS ratio,
+             CASE
+               WHEN expected IS NULL OR samples IS NULL OR samples < ${cfg.minSamples}::int
+                 THEN false
+               WHEN was_degraded
+                 THEN avg_hr / expected < ${cfg.recoverRatio}::float8
+               ELSE avg_hr / expected < ${cfg.ratio}::float8
+             END AS degraded
+      FROM base
+    ),
+    up AS (
+      INSERT INTO miner_performance AS p
+        (miner_id, avg_hashrate, ratio, degraded, degraded_since, checked_at)
+      SELECT miner_id, avg_hr, ratio, degraded, CASE WHEN degraded THEN now() END, now()
+      FROM computed
+      ON CONFLICT (miner_id) DO UPDATE SET
+        avg_hashrate = EXCLUDED.avg_hashrate,
+        ratio = EXCLUDED.ratio,
+        degraded = EXCLUDED.degraded,
+        degraded_since = CASE
+          WHEN EXCLUDED.degraded AND NOT p.degraded THEN now()
+          WHEN EXCLUDED.degraded THEN p.degraded_since
+          ELSE NULL
+        END,
+        checked_at = now()
+      RETURNING p.miner_id, p.degraded, p.ratio
+    )
+    SELECT up.miner_id, up.degraded, up.ratio, c.was_degraded
+    FROM up JOIN computed c ON c.miner_id = up.miner_id
+  `;
+
+  return rows
+    .filter((r) => r.degraded !== r.was_degraded)
+    .map((r) => ({
+      minerId: String(r.miner_id),
+      degraded: r.degraded,
+      ratio: r.ratio == null ? null : Number(r.ratio),
+    }));
+}
@@ -0,0 +1,111 @@
+// src/uptime/policy.js
+import { sql } from "../config/db.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("uptime:policy");
+
+/**
+ * Política de confirmação por pool, declarativa.
+ *
+ * Precedência (cada nível só sobrepõe os campos que define):
+ *   DEFAULT_POLICY (engine) < defaults do job < env UPTIME_POLICIES < tabela pool_policies
+ *
+ *   UPTIME_POLICIES='{"binance":{"missing":"unknown"},"viabtc":{"reads":1}}'
+ *
+ * A tabela é relida no máximo a cada POLICY_TTL_MS, por isso uma alteração na
+ * BD aplica-se no slot seguinte sem redeploy.
+ */
+const POLICY_TTL_MS = 60_000;
+
+const MISSING = new Set(["offline", "unknown"]);
+
+const FIELDS = {
+  reads: (v) => (Number.isInteger(v) && v >= 1 && v <= 5 ? v : undefined),
+  toleranceSlots: (v) => (Number.isInteger(v) && v >= 1 && v <= 96 ? v : undefined),
+  graceMinutes: (v) => (Number.isInteger(v) && v >= 0 && v <= 24 * 60 ? v : undefined),
+  missing: (v) => (MISSING.has(v) ? v : undefined),
+  hoursRequireHashrate: (v) => (typeof v === "boolean" ? v : undefined),
+};
+
+/** mantém só campos conhecidos e válidos; o resto é reportado e ignorado */
+export function sanitizePolicy(input, source = "policy") {
+  const out = {};
+  if (!input || typeof input !== "object") return out;
+  for (const [k, v] of Object.entries(input)) {
+    if (v == null) continue;
+    const check = FIELDS[k];
+    const val = check ? check(v) : undefined;
+    if (val === undefined) {
+      log.warn("campo inválido ignorado", { source, field: k, value: v });
+      continue;
+    }
+    out[k] = val;
+  }
+  return out;
+}
+
+let envCache = null;
+function envPolicies() {
+  if (envCache) return envCache;
+  envCache = {};
+  const raw = process.env.UPTIME_POLICIES;
+  if (!raw) return envCache;
+  try {
+    const parsed = JSON.parse(raw);
+    for (const [pool, p] of Object.entries(parsed || {})) {
+      envCache[pool.toLowerCase()] = sanitizePolicy(p, `env:${pool}`);
+    }
+  } catch (e) {
+    log.error("UPTIME_POLICIES não é JSON válido", { err: e });
+  }
+  return envCache;
+}
+
+let dbCache = { at: 0, byPool: new Map() };
+
+async function dbPolicies() {
+  if (Date.now() - dbCache.at < POLICY_TTL_MS) return dbCache.byPool;
+  try {
+    const rows = await sql/*sql*/`
+      SELECT pool, reads, tolerance_slots, grace_minutes, missing, hours_require_hashrate
+      FROM pool_policies
+    `;
+    const byPool = new Map();
+    for (const r of rows) {
+      byPool.set(
+        String(r.pool).toLowerCase(),
+        sanitizePolicy(
+          {
+            reads: r.reads,
+            toleranceSlots: r.tolerance_slots,
+            graceMinutes: r.grace_minutes,
+            missing: r.missing,
+            hoursRequireHashrate: r.hours_require_hashrate,
+          },
+          `db:${r.pool}`
+        )
+      );
+    }
+    dbCache = { at: Date.now(), byPool };
+  } catch (e) {
+    // BD em baixo: continua com a última política conhecida
+    log.warn("leitura de pool_policies falhou", {
+      error: e?.message || String(e),
+    });
+    dbCache.at = Date.now();
+  }
+  return dbCache.byPool;
+}
+
+/** política efetiva para um adapter (base = DEFAULT_POLICY + defaults do job) */
+export async function resolvePolicy(poolId, base) {
+  const id = String(poolId).toLowerCase();
+  const db = await dbPolicies();
+  return { ...base, ...(envPolicies()[id] || {}), ...(db.get(id) || {}) };
+}
+
+/** só para scripts/testes: força releitura da BD/env */
+export function resetPolicyCache() {
+  envCache = null;
+  dbCache = { at: 0, byPool: new Map() };
+}
@@ -0,0 +1,31 @@
+// src/uptime/slots.js
+
+/** duração de um slot de uptime (cron a cada 15 min) */
+export const SLOT_MINUTES = 15;
+export const SLOT_MS = SLOT_MINUTES * 60 * 1000;
+/** horas creditadas por slot online */
+export const SLOT_HOURS = SLOT_MINUTES / 60;
+
+/** início do slot de 15 min (UTC) que contém d, em ISO */
+export function slotISO(d = new Date()) {
+  const m = d.getUTCMinutes();
+  const q = m - (m % SLOT_MINUTES);
+  const t = new Date(
+    Date.UTC(
+      d.getUTCFullYear(),
+      d.getUTCMonth(),
+      d.getUTCDate(),
+      d.getUTCHours(),
+      q,
+      0
+    )
+  );
+  return t.toISOString();
+}
+
+export function minutesDiff(aISO, bISO) {
+  const a = new Date(aISO).getTime();
+  const b = new Date(bISO).getTime();
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return Infinity;
+  return Math.abs(b - a) / (60 * 1000);
+}
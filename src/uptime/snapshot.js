@@ -0,0 +1,84 @@
+// src/uptime/snapshot.js
+import { redis } from "../config/upstash.js";
+
+/**
+ * Última leitura da pool por miner, publicada pelos jobs de uptime.
+ *
+ * O /status lê daqui por omissão (sem chamar a pool); só vai ao vivo com
+ * refresh=1 ou se a snapshot for mais velha que STATUS_SNAPSHOT_MAX_AGE_SEC
+ * (jobs parados). Só leituras bem-sucedidas são publicadas: se a pool
+ * falhar fica a snapshot anterior, com a idade a crescer. Leituras ao vivo
+ * (refresh=1) também a atualizam (slot = null).
+ *
+ *   snapshot:miner:<id> → { online, hashrate (H/s), found, pool, slot, at }
+ *
+ * publishSnapshots devolve as entradas que mudaram face à snapshot anterior
+ * (online/found, ou hashrate com variação > STREAM_HASHRATE_DELTA) – é isso
+ * que alimenta o SSE (src/events/statusStream.js).
+ */
+const SNAPSHOT_TTL_SEC = 24 * 60 * 60;
+
+const HASHRATE_DELTA = (() => {
+  const n = Number(process.env.STREAM_HASHRATE_DELTA);
+  return Number.isFinite(n) && n >= 0 ? n : 0.05;
+})();
+
+const keySnap = (id) => `snapshot:miner:${id}`;
+
+export function snapshotMaxAgeMs(env = process.env) {
+  const n = Number(env.STATUS_SNAPSHOT_MAX_AGE_SEC);
+  return (Number.isFinite(n) && n > 0 ? n : 45 * 60) * 1000;
+}
+
+function changed(prev, next) {
+  if (!prev) return true;
+  if (!!prev.online !== next.online || !!prev.found !== next.found) return true;
+  const a = Number(prev.hashrate) || 0;
+  const b = next.hashrate;
+  if (a === b) return false;
+  return Math.abs(b - a) / Math.max(a, b) > HASHRATE_DELTA;
+}
+
+/**
+ * entries: [{ minerId, online, hashrate, found }] (uma leitura da pool)
+ * Devolve [{ minerId, online, hashrate, found, at }] das que mudaram.
+ */
+export async function publishSnapshots({ pool, slot, entries }) {
+  if (!entries.length) return [];
+  const at = new Date().toISOString();
+  const prev = await readSnapshots(entries.map((e) => String(e.minerId))).catch(
+    () => new Map()
+  );
+
+  const changes = [];
+  await Promise.all(
+    entries.map((e) => {
+      const next = {
+        online: !!e.online,
+        hashrate: Number(e.hashrate) || 0,
+        found: !!e.found,
+        pool,
+        slot,
+        at,
+      };
+      if (changed(prev.get(String(e.minerId)), next)) {
+        changes.push({ minerId: e.minerId, ...next });
+      }
+      return redis.set(keySnap(e.minerId), JSON.stringify(next), { ex: SNAPSHOT_TTL_SEC });
+    })
+  );
+  return changes;
+}
+
+/** Map id (string) → snapshot, só para os ids que a têm */
+export async function readSnapshots(ids) {
+  const out = new Map();
+  if (!ids.length) return out;
+  const raw = await redis.mget(...ids.map((id) => keySnap(id)));
+  ids.forEach((id, i) => {
+    const v = raw[i];
+    if (v == null) return;
+    out.set(String(id), typeof v === "string" ? JSON.parse(v) : v);
+  });
+  return out;
+}
@@ -0,0 +1,225 @@
+// src/webhooks/deliver.js
+import crypto from "crypto";
+import { sql } from "../config/db.js";
+import { toEvent } from "../events/statusEvents.js";
+import { toAccountEvent } from "../pools/health.js";
+import { fetchJSON } from "../pools/utils.js";
+import { createLogger } from "../lib/logger.js";
+import { open } from "../lib/vault.js";
+
+const log = createLogger("webhooks");
+
+const num = (v, def) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : def;
+};
+
+const MAX_ATTEMPTS = num(process.env.WEBHOOK_MAX_ATTEMPTS, 8);
+const BACKOFF_BASE_SEC = num(process.env.WEBHOOK_BACKOFF_BASE_SEC, 30);
+const BACKOFF_MAX_SEC = 6 * 60 * 60;
+const TIMEOUT_MS = num(process.env.WEBHOOK_TIMEOUT_MS, 10_000);
+export const DELIVERY_BATCH = 50;
+// entrega "em curso" fica reservada este tempo (outra instância não pega nela)
+const LEASE_SEC = 5 * 60;
+
+/**
+ * Assinatura: X-Webhook-Signature: t=<unix>,v1=<hex>
+ * v1 = HMAC-SHA256(secret, `${t}.${body}`). O recetor deve recusar t antigos.
+ */
+export function signPayload(secret, body, ts = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto
+    .createHmac("sha256", secret)
+    .update(`${ts}.${body}`)
+    .digest("hex");
+  return `t=${ts},v1=${v1}`;
+}
+
+/** 30s, 1m, 2m, 4m … (teto 6h) com jitter de ±10% */
+export function backoffSeconds(attempts) {
+  const raw = Math.min(BACKOFF_BASE_SEC * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_SEC);
+  return Math.round(raw * (0.9 + Math.random() * 0.2));
+}
+
+function statusPayload(event) {
+  return {
+    id: event.id,
+    type: "miner.status_changed",
+    created_at: event.createdAt,
+    data: {
+      miner_id: event.minerId,
+      from: event.from,
+      to: event.to,
+      slot: event.slot,
+      pool: event.pool,
+      evidence: event.evidence,
+    },
+  };
+}
+
+// ids de conta com prefixo: são outra sequência (não colidem com os de status)
+function accountPayload(event) {
+  return {
+    id: `account:${event.id}`,
+    type: `account.${event.kind}`,
+    created_at: event.createdAt,
+    data: {
+      account_id: event.accountId,
+      pool: event.pool,
+      auth_failures: event.authFailures,
+      reason: event.reason,
+      http_status: event.httpStatus,
+    },
+  };
+}
+
+function payloadFor(row) {
+  if (row.account_event_id != null) {
+    return accountPayload(
+      toAccountEvent({
+        id: row.account_event_id,
+        account_id: row.account_id,
+        pool: row.account_pool,
+        kind: row.account_kind,
+        auth_failures: row.auth_failures,
+        reason: row.account_reason,
+        http_status: row.account_http_status,
+        created_at: row.account_created_at,
+      })
+    );
+  }
+  return statusPayload(toEvent(row));
+}
+
+/* ===== reservar entregas vencidas (SKIP LOCKED: várias instâncias ok) ===== */
+async function claimDue() {
+  return sql/*sql*/`
+    WITH claimed AS (
+      UPDATE webhook_deliveries d
+      SET next_attempt_at = now() + make_interval(secs => ${LEASE_SEC})
+      FROM (
+        SELECT dd.id
+        FROM webhook_deliveries dd
+        JOIN webhook_endpoints w ON w.id = dd.endpoint_id AND w.active
+        WHERE dd.status = 'pending' AND dd.next_attempt_at <= now()
+        ORDER BY dd.next_attempt_at
+        LIMIT ${DELIVERY_BATCH}
+        FOR UPDATE OF dd SKIP LOCKED
+      ) due
+      WHERE d.id = due.id
+      RETURNING d.id, d.attempts, d.endpoint_id, d.event_id, d.account_event_id
+    )
+    SELECT c.id AS delivery_id, c.attempts, c.endpoint_id, c.account_event_id,
+           w.url, w.secret,
+           e.id, e.miner_id, e.from_status, e.to_status, e.slot, e.pool,
+           e.evidence, e.created_at,
+           ae.account_id, ae.pool AS account_pool, ae.kind AS account_kind,
+           ae.auth_failures, ae.reason AS account_reason,
+           ae.http_status AS account_http_status, ae.created_at AS account_created_at
+    FROM claimed c
+    JOIN webhook_endpoints w ON w.id = c.endpoint_id
+    LEFT JOIN miner_status_events e ON e.id = c.event_id
+    LEFT JOIN pool_account_events ae ON ae.id = c.account_event_id
+  `;
+}
+
+async function markDelivered(id, httpStatus) {
+  await sql/*sql*/`
+    UPDATE webhook_deliveries
+    SET status = 'delivered', attempts = attempts + 1, last_status = ${httpStatus},
+        last_error = NULL, delivered_at = now()
+    WHERE id = ${id}
+  `;
+}
+
+async function markFailed(row, payload, httpStatus, error) {
+  const attempts = Number(row.attempts) + 1;
+
+  if (attempts >= MAX_ATTEMPTS) {
+    await sql/*sql*/`
+      WITH d AS (
+        UPDATE webhook_deliveries
+        SET status = 'dead', attempts = ${attempts}, last_status = ${httpStatus},
+            last_error = ${error}
+        WHERE id = ${row.delivery_id}
+        RETURNING id, event_id, account_event_id, endpoint_id
+      )
+      INSERT INTO webhook_dead_letters
+        (delivery_id, event_id, account_event_id, endpoint_id, url, payload, attempts,
+         last_status, last_error)
+      SELECT d.id, d.event_id, d.account_event_id, d.endpoint_id, ${row.url},
+             ${JSON.stringify(payload)}::jsonb,
+             ${attempts}, ${httpStatus}, ${error}
+      FROM d
+      ON CONFLICT (delivery_id) DO NOTHING
+    `;
+    return "dead";
+  }
+
+  await sql/*sql*/`
+    UPDATE webhook_deliveries
+    SET attempts = ${attempts}, last_status = ${httpStatus}, last_error = ${error},
+        next_attempt_at = now() + make_interval(secs => ${backoffSeconds(attempts)})
+    WHERE id = ${row.delivery_id}
+  `;
+  return "retry";
+}
+
+/* ===== uma ronda de entregas ===== */
+export async function deliverPending() {
+  const rows = await claimDue();
+  const stats = { claimed: rows.length, delivered: 0, retry: 0, dead: 0 };
+
+  for (const row of rows) {
+    const payload = payloadFor(row);
+    const body = JSON.stringify(payload);
+
+    let secret;
+    try {
+      secret = open(row.secret, `webhook_endpoints:${row.endpoint_id}:secret`);
+    } catch (e) {
+      // master key em falta / valor adulterado: conta como tentativa falhada
+      log.error("webhook secret unavailable", { endpoint: row.endpoint_id, error: e?.message });
+      stats[await markFailed(row, payload, null, "secret_unavailable")] += 1;
+      continue;
+    }
+
+    const r = await fetchJSON(
+      row.url,
+      {
+        method: "POST",
+        timeout: TIMEOUT_MS,
+        log,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "cryptominers-worker/webhooks",
+          "X-Webhook-Id": String(row.delivery_id),
+          "X-Webhook-Event": payload.type,
+          "X-Webhook-Signature": signPayload(secret, body),
+        },
+        body,
+      },
+      0
+    );
+
+    const httpStatus = r.res ? r.res.status : null;
+    if (r.res && r.res.ok) {
+      await markDelivered(row.delivery_id, httpStatus);
+      stats.delivered += 1;
+      continue;
+    }
+
+    const error = r.res ? `http_${httpStatus}` : r.timeout ? "timeout" : "network";
+    const outcome = await markFailed(row, payload, httpStatus, error);
+    stats[outcome] += 1;
+    if (outcome === "dead") {
+      log.warn("DEAD LETTER", {
+        delivery: String(row.delivery_id),
+        event: payload.id,
+        endpoint: row.endpoint_id,
+        error,
+      });
+    }
+  }
+
+  return stats;
+}
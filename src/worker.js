@@ -9,86 +9,204 @@ import { startUptimeLTCPool } from "./jobs/uptimeLiteCoinPool.js";
 import { startUptimeMiningDutch } from "./jobs/uptimeMiningDutch.js";
 import { startUptimeF2Pool } from "./jobs/uptimeF2Pool.js";
 import { startUptimeBinance } from "./jobs/uptimeBinance.js";
+import { startHashrateRollup } from "./jobs/hashrateRollup.js";
+import { startPerformance } from "./jobs/performance.js";
+import { startWebhookDelivery } from "./jobs/webhookDelivery.js";
+import { startNotifications } from "./jobs/notifications.js";
+import { startBackfill } from "./jobs/backfill.js";
+import { ensureSchema } from "./config/schema.js";
+import {
+  paramId,
+  queryIds,
+  requireAccountScope,
+  requireAdmin,
+  requireAuth,
+  requireMinerScope,
+} from "./lib/auth.js";
+import { getAccountHealth } from "./pools/health.js";
+import { getMetrics } from "./lib/metrics.js";
+import { createLogger, requestContext } from "./lib/logger.js";
+import { getLocks, releaseAllLocks } from "./lib/locks.js";
+import {
+  apiRateLimit,
+  ipRateLimit,
+  maxIds,
+  refreshRateLimit,
+  trustProxySetting,
+} from "./lib/rateLimit.js";
+import { leaderStatus, startLeaderElection } from "./lib/leader.js";
 
 import {
+  closeStatusStreams,
+  getMinerHashrate,
   getMinerStatus,
   getMinersStatusMany,
+  getStatusStream,
+  wantsRefresh,
 } from "./status-service.js";
 
 /* =============================== */
-/* Logger básico                   */
+/* Logger (JSON, src/lib/logger.js) */
 /* =============================== */
 
-const TAG = "[cryptominers-worker]";
-
-function log(...args) {
-  console.log(TAG, ...args);
-}
-
-function logError(...args) {
-  console.error(TAG, ...args);
-}
+const log = createLogger("worker");
 
 /* =============================== */
 /* Global error handlers           */
 /* =============================== */
 
 process.on("unhandledRejection", (reason, promise) => {
-  logError("unhandledRejection", {
-    reason: reason instanceof Error ? reason.message : String(reason),
+  log.error("unhandledRejection", {
+    reason: reason instanceof Error ? reason : String(reason),
   });
 });
 
 process.on("uncaughtException", (err) => {
-  logError("uncaughtException", {
-    message: err?.message,
-    stack: err?.stack,
-  });
+  log.error("uncaughtException", { err });
   // Hard fail para PM2 reiniciar em vez de ficar em estado zombie
   process.exit(1);
 });
 
 /* =============================== */
-/* Cron jobs                       */
+/* Schema (tabelas do worker)      */
 /* =============================== */
 
-log("boot – starting cron jobs");
-
 try {
-  startUptimeViaBTC();
-  startUptimeLTCPool();
-  startUptimeMiningDutch();
-  startUptimeF2Pool();
-  startUptimeBinance();
-
-  log("cron jobs scheduled (ViaBTC, LiteCoinPool, MiningDutch, F2Pool, Binance)");
+  await ensureSchema();
 } catch (err) {
-  logError("failed to start cron jobs", {
+  log.error("failed to ensure schema", {
+    code: err?.code,
     message: err?.message,
-    stack: err?.stack,
   });
   process.exit(1);
 }
 
+/* =============================== */
+/* Cron jobs (só no líder)         */
+/* =============================== */
+
+let tasks = [];
+
+function startCronJobs() {
+  tasks = [
+    startUptimeViaBTC(),
+    startUptimeLTCPool(),
+    startUptimeMiningDutch(),
+    startUptimeF2Pool(),
+    startUptimeBinance(),
+    startHashrateRollup(),
+    startPerformance(),
+    startWebhookDelivery(),
+    startNotifications(),
+    startBackfill(),
+  ];
+
+  log.info("cron jobs scheduled", { jobs: tasks.length });
+}
+
+function stopCronJobs() {
+  for (const t of tasks) t?.stop();
+  if (tasks.length) log.info("cron jobs stopped (já não é líder)");
+  tasks = [];
+}
+
+log.info("boot – leader election");
+
+const election = startLeaderElection({
+  onElected: () => {
+    try {
+      startCronJobs();
+    } catch (err) {
+      log.error("failed to start cron jobs", { err });
+      process.exit(1);
+    }
+  },
+  onDemoted: stopCronJobs,
+});
+
 /* =============================== */
 /* Mini-API de status              */
 /* =============================== */
 
 const app = express();
+// req.ip (limite por IP) atrás de um proxy: ver TRUST_PROXY em src/lib/rateLimit.js
+app.set("trust proxy", trustProxySetting());
+app.use(requestContext);
 
 app.get("/health", (req, res) => {
   res.json({
     ok: true,
     service: "cryptominers-worker",
-    cron: true,
+    cron: leaderStatus().leader,
+    leader: leaderStatus(),
   });
 });
 
-// 1 miner: GET /status/:id?refresh=1
-app.get("/status/:id", getMinerStatus);
-
-// vários miners: GET /status?ids=1,2,3
-app.get("/status", getMinersStatusMany);
+// todas as rotas /status exigem API key ou JWT e só veem os miners do
+// cliente (src/lib/auth.js); /health fica aberto. Rate limit por IP antes da
+// auth (trava força bruta de chaves) e por cliente depois, com orçamento
+// próprio para refresh=1 (src/lib/rateLimit.js)
+const limitRefresh = refreshRateLimit(wantsRefresh);
+
+// stream SSE: GET /status/stream?ids=1,2,3 (antes de /status/:id)
+app.get(
+  "/status/stream",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  maxIds(queryIds),
+  requireMinerScope(queryIds),
+  getStatusStream
+);
+
+// 1 miner: GET /status/:id (snapshot do job; refresh=1 → pool ao vivo)
+app.get(
+  "/status/:id",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  limitRefresh,
+  requireMinerScope(paramId),
+  getMinerStatus
+);
+
+// série de hashrate: GET /status/:id/hashrate?from=&to=&step=15m|1h|1d
+app.get(
+  "/status/:id/hashrate",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  requireMinerScope(paramId),
+  getMinerHashrate
+);
+
+// vários miners: GET /status?ids=1,2,3[&refresh=1]
+app.get(
+  "/status",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  limitRefresh,
+  maxIds(queryIds),
+  requireMinerScope(queryIds),
+  getMinersStatusMany
+);
+
+// saúde das credenciais de uma conta de pool: GET /accounts/:id/health
+app.get(
+  "/accounts/:id/health",
+  ipRateLimit,
+  requireAuth,
+  apiRateLimit,
+  requireAccountScope,
+  getAccountHealth
+);
+
+// debug: locks ativos (todas as instâncias) e respetivo dono
+app.get("/locks", ipRateLimit, requireAuth, requireAdmin, getLocks);
+
+// métricas Prometheus desta instância (scrape com uma API key admin como bearer)
+app.get("/metrics", ipRateLimit, requireAuth, requireAdmin, getMetrics);
 
 // ===============================
 // Arranque HTTP
@@ -98,31 +216,30 @@ const PORT_RAW = process.env.STATUS_PORT || "4000";
 const PORT = Number.parseInt(PORT_RAW, 10);
 
 if (!Number.isFinite(PORT) || PORT <= 0) {
-  logError("Invalid STATUS_PORT", { STATUS_PORT: PORT_RAW });
+  log.error("Invalid STATUS_PORT", { STATUS_PORT: PORT_RAW });
   process.exit(1);
 }
 
 const server = app.listen(PORT, () => {
-  log(
-    `status API listening on port ${PORT} (GET /status/:id, GET /status?ids=...)`
-  );
+  log.info("status API listening", { port: PORT });
 });
 
 // ===============================
 // Shutdown limpo
 // ===============================
 
-function shutdown(signal) {
-  log(`${signal} received – shutting down HTTP server...`);
+async function shutdown(signal) {
+  log.info("shutting down HTTP server", { signal });
+  // liberta a liderança e os locks já (outra réplica assume sem esperar TTL)
+  await election.stop().catch(() => {});
+  await releaseAllLocks().catch(() => {});
+  closeStatusStreams();
   server.close((err) => {
     if (err) {
-      logError("Error while closing HTTP server", {
-        message: err?.message,
-        stack: err?.stack,
-      });
+      log.error("Error while closing HTTP server", { err });
       process.exit(1);
     }
-    log("HTTP server closed. Exiting.");
+    log.info("HTTP server closed. Exiting.");
     process.exit(0);
   });
 }